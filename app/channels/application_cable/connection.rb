@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+module ApplicationCable
+  class Connection < ActionCable::Connection::Base
+    # Only signed-in users get live updates
+    identified_by :current_user
+
+    def connect
+      self.current_user = User.find_by(id: request.session[:user_id]) || reject_unauthorized_connection
+    end
+  end
+end
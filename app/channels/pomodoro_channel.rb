@@ -0,0 +1,27 @@
+# frozen_string_literal: true
+
+# Live updates for every device a user has open
+# Broadcasts pomodoro created/deleted, tag changes and timer state changes,
+# so the today list, count and stats refresh everywhere, not just in the tab
+# that made the change
+class PomodoroChannel < ApplicationCable::Channel
+  def subscribed
+    reject unless current_user
+
+    stream_from self.class.stream_name(current_user)
+  end
+
+  # One stream per signed-in user
+  def self.stream_name(user)
+    "pomodoros:user_#{user.id}"
+  end
+
+  # Sends an event to all of the user's devices
+  # Events are hashes with a type, e.g. { type: "pomodoro_created", ... }
+  # Guests have no other devices to tell
+  def self.broadcast_event(user, type, payload = {})
+    return unless user
+
+    ActionCable.server.broadcast(stream_name(user), { type: type, **payload })
+  end
+end
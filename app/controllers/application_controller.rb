@@ -5,7 +5,7 @@ class ApplicationController < ActionController::Base
   # Changes to the importmap will invalidate the etag for HTML responses
   stale_when_importmap_changes
 
-  helper_method :current_user, :user_signed_in?
+  helper_method :current_user, :user_signed_in?, :current_settings
 
   private
 
@@ -17,6 +17,16 @@ class ApplicationController < ActionController::Base
     current_user.present?
   end
 
+  # Timer settings for the signed-in user, or the defaults for guests
+  def current_settings
+    @current_settings ||= current_user&.settings || UserSetting.new
+  end
+
+  # Pushes a live update to all of the current user's devices
+  def broadcast_to_devices(type, payload = {})
+    PomodoroChannel.broadcast_event(current_user, type, payload)
+  end
+
   def require_authentication
     unless user_signed_in?
       redirect_to root_path, alert: "Please sign in to continue."
@@ -1,13 +1,17 @@
 # frozen_string_literal: true
 
 class PomodorosController < ApplicationController
+  before_action :set_pomodoro, only: [:update, :complete, :cancel, :update_break]
+
   def index
     @today_count = PomodoroSession.completed_today.count
-    @today_pomodoros = PomodoroSession.completed_today.order(started_at: :desc)
+    @today_pomodoros = PomodoroSession.completed_today.includes(:tags).order(started_at: :desc)
     @daily_history = PomodoroSession.daily_counts(days: 5)
     @today_date = Date.current.iso8601
-    @available_tags = Tag.all_names
+    @available_tags = Tag.tree_options
     @tag_statistics = PomodoroSession.tag_statistics
+    @recent_descriptions = PomodoroSession.recent_descriptions
+    @settings = current_settings
   end
 
   def tag_statistics
@@ -15,22 +19,156 @@ class PomodorosController < ApplicationController
     render json: { success: true, statistics: stats }
   end
 
+  # GET /pomodoros/active
+  # Returns the in-progress pomodoro, if any, so every device shows the same countdown
+  def active
+    render json: { success: true, pomodoro: PomodoroSession.active&.active_session_json }
+  end
+
+  # POST /pomodoros/start
+  # Creates an in-progress pomodoro
+  # If one is already running (e.g. on another device), returns it instead
+  def start
+    if (active = PomodoroSession.active)
+      return render json: {
+        success: false,
+        error: "A pomodoro is already in progress",
+        pomodoro: active.active_session_json
+      }, status: :conflict
+    end
+
+    @pomodoro = PomodoroSession.new(session_params)
+    @pomodoro.started_at ||= Time.current
+
+    if @pomodoro.save
+      broadcast_to_devices("timer_state", pomodoro: @pomodoro.active_session_json)
+      schedule_notification("focus_end", @pomodoro.ends_at)
+      render json: { success: true, pomodoro: @pomodoro.active_session_json }, status: :created
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # POST /pomodoros
+  # Replays carrying an Idempotency-Key that was already saved return the
+  # original pomodoro instead of logging it again
   def create
+    return render_saved_pomodoro if replayed_pomodoro
+
     @pomodoro = PomodoroSession.new(pomodoro_params)
+    @pomodoro.idempotency_key = idempotency_key
+
+    if save_once
+      broadcast_to_devices("pomodoro_created", saved_pomodoro_json)
+      render_saved_pomodoro(status: :created)
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # PATCH /pomodoros/:id
+  # Syncs pause/resume and interruption changes of an in-progress pomodoro
+  def update
+    unless @pomodoro.in_progress?
+      return render json: { success: false, error: "Pomodoro is not in progress" }, status: :unprocessable_entity
+    end
+
+    if @pomodoro.update(session_params)
+      broadcast_to_devices("timer_state", pomodoro: @pomodoro.active_session_json)
+      if @pomodoro.saved_change_to_ends_at? && !@pomodoro.paused?
+        schedule_notification("focus_end", @pomodoro.ends_at)
+      end
+      render json: { success: true, pomodoro: @pomodoro.active_session_json }
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # PATCH /pomodoros/:id/complete
+  # Completes an in-progress pomodoro
+  # Completing an already completed pomodoro is a no-op, so two devices can't log it twice
+  def complete
+    return render_saved_pomodoro if @pomodoro.completed?
+
+    @pomodoro.assign_attributes(pomodoro_params.except(:abandoned_at, :abandon_reason))
+    @pomodoro.completed_at ||= Time.current
+    @pomodoro.paused_at = nil
 
     if @pomodoro.save
-      # Return the new pomodoro data along with counts and stats
+      broadcast_to_devices("pomodoro_created", saved_pomodoro_json)
+      broadcast_to_devices("timer_ended", id: @pomodoro.id, reason: "completed", completed_at: @pomodoro.completed_at.iso8601(3))
+      render_saved_pomodoro
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # PATCH /pomodoros/:id/update_break
+  # Records when the break after this pomodoro ends, so "Break over" can be pushed
+  # A blank break_ends_at means the break ended early
+  def update_break
+    if @pomodoro.update(break_ends_at: params[:break_ends_at].presence)
+      schedule_notification("break_end", @pomodoro.break_ends_at) if @pomodoro.saved_change_to_break_ends_at?
+      render json: { success: true }
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # PATCH /pomodoros/:id/cancel
+  # Records an in-progress pomodoro as abandoned
+  def cancel
+    unless @pomodoro.in_progress?
+      return render json: { success: true, tag_statistics: PomodoroSession.tag_statistics }
+    end
+
+    @pomodoro.assign_attributes(pomodoro_params.except(:completed_at))
+    @pomodoro.abandoned_at ||= Time.current
+    @pomodoro.paused_at = nil
+
+    if @pomodoro.save
+      broadcast_to_devices("pomodoro_abandoned", tag_statistics: PomodoroSession.tag_statistics)
+      broadcast_to_devices("timer_ended", id: @pomodoro.id, reason: "cancelled")
+      render json: { success: true, tag_statistics: PomodoroSession.tag_statistics }
+    else
+      render json: {
+        success: false,
+        errors: @pomodoro.errors.full_messages
+      }, status: :unprocessable_entity
+    end
+  end
+
+  # POST /pomodoros/abandon
+  # Records a pomodoro that was stopped before the timer ran out
+  def abandon
+    if replayed_pomodoro
+      return render json: { success: true, tag_statistics: PomodoroSession.tag_statistics }
+    end
+
+    @pomodoro = PomodoroSession.new(pomodoro_params.except(:completed_at))
+    @pomodoro.abandoned_at ||= Time.current
+    @pomodoro.idempotency_key = idempotency_key
+
+    if save_once
+      broadcast_to_devices("pomodoro_abandoned", tag_statistics: PomodoroSession.tag_statistics)
       render json: {
         success: true,
-        today_count: PomodoroSession.completed_today.count,
-        today_date: Date.current.iso8601,
-        available_tags: Tag.all_names,
-        tag_statistics: PomodoroSession.tag_statistics,
-        pomodoro: {
-          id: @pomodoro.id,
-          description: @pomodoro.description,
-          started_at: @pomodoro.started_at&.strftime("%H:%M")
-        }
+        tag_statistics: PomodoroSession.tag_statistics
       }, status: :created
     else
       render json: {
@@ -45,6 +183,11 @@ class PomodorosController < ApplicationController
     
     if @pomodoro
       @pomodoro.destroy
+      broadcast_to_devices("timer_ended", id: @pomodoro.id, reason: "cancelled") if @pomodoro.in_progress?
+      broadcast_to_devices("pomodoro_deleted",
+                           id: @pomodoro.id,
+                           today_count: PomodoroSession.completed_today.count,
+                           tag_statistics: PomodoroSession.tag_statistics)
     end
     
     # Always return success with updated stats so UI can update
@@ -61,13 +204,97 @@ class PomodorosController < ApplicationController
 
   private
 
+  def set_pomodoro
+    @pomodoro = PomodoroSession.find_by(id: params[:id])
+    render json: { success: false, error: "Pomodoro not found" }, status: :not_found unless @pomodoro
+  end
+
+  # Pushes a notification to the user's devices when the phase ends
+  # Rescheduling (pause/resume, a different break) leaves the old job to skip itself
+  def schedule_notification(event, ends_at)
+    return unless current_user && ends_at && WebPushService.configured?
+
+    TimerNotificationJob.set(wait_until: ends_at).perform_later(@pomodoro, event, ends_at, current_user)
+  end
+
+  # Clients queue saves while offline and replay them with the same key
+  def idempotency_key
+    request.headers["Idempotency-Key"].presence
+  end
+
+  # Finds the pomodoro an earlier request with this Idempotency-Key saved
+  def replayed_pomodoro
+    return unless idempotency_key
+
+    @pomodoro = PomodoroSession.find_by(idempotency_key: idempotency_key)
+  end
+
+  # Saves @pomodoro, treating a concurrent replay that won the race as success
+  def save_once
+    @pomodoro.save
+  rescue ActiveRecord::RecordNotUnique
+    @pomodoro = PomodoroSession.find_by!(idempotency_key: idempotency_key)
+    true
+  end
+
+  # Renders a saved pomodoro along with updated counts and stats
+  def render_saved_pomodoro(status: :ok)
+    render json: { success: true, **saved_pomodoro_json }, status: status
+  end
+
+  def saved_pomodoro_json
+    {
+      today_count: PomodoroSession.completed_today.count,
+      today_date: Date.current.iso8601,
+      available_tags: Tag.tree_options,
+      tag_statistics: PomodoroSession.tag_statistics,
+      pomodoro: {
+        id: @pomodoro.id,
+        description: @pomodoro.description,
+        started_at: @pomodoro.started_at&.strftime("%H:%M"),
+        overtime_minutes: @pomodoro.overtime_minutes,
+        tags: @pomodoro.tag_names
+      }
+    }
+  end
+
   def pomodoro_params
-    params.require(:pomodoro).permit(
+    with_tag_names params.require(:pomodoro).permit(
       :description,
       :tags,
       :started_at,
       :completed_at,
-      :duration_minutes
+      :duration_minutes,
+      :planned_minutes,
+      :paused_seconds,
+      :abandoned_at,
+      :abandon_reason,
+      :internal_interruptions,
+      :external_interruptions,
+      tags: []
     )
   end
+
+  # Fields a device may set while a pomodoro is in progress
+  def session_params
+    with_tag_names params.require(:pomodoro).permit(
+      :description,
+      :tags,
+      :started_at,
+      :ends_at,
+      :paused_at,
+      :paused_seconds,
+      :planned_minutes,
+      :internal_interruptions,
+      :external_interruptions,
+      tags: []
+    )
+  end
+
+  # Tags arrive as an array of names, or as one comma-separated string from
+  # saves queued before a pomodoro could have several
+  def with_tag_names(permitted)
+    permitted[:tag_names] = permitted.delete(:tags) if permitted.key?(:tags)
+    permitted
+  end
 end
@@ -0,0 +1,56 @@
+# frozen_string_literal: true
+
+# Local stand-in for a browser push service, for trying Web Push without a browser
+# Only routed in development and test. Decrypts each push with the key written by
+# bin/rails web_push:stand_in and logs it
+class PushStandInController < ApplicationController
+  skip_forgery_protection
+
+  def self.key_path(token)
+    Rails.root.join("tmp", "push_stand_in", "#{token.to_s.gsub(/[^0-9a-f]/, "")}.json")
+  end
+
+  # POST /push_stand_in/:token
+  def create
+    path = self.class.key_path(params[:token])
+    return head :not_found unless path.exist?
+
+    if request.headers["Authorization"].to_s.start_with?("vapid t=") && request.headers["Content-Encoding"] == "aes128gcm"
+      Rails.logger.info("[Push stand-in] Received: #{decrypt(request.raw_post, JSON.parse(path.read))}")
+      head :created
+    else
+      Rails.logger.warn("[Push stand-in] Missing VAPID authorization or aes128gcm encoding")
+      head :bad_request
+    end
+  rescue OpenSSL::Cipher::CipherError, ArgumentError => e
+    Rails.logger.warn("[Push stand-in] Could not decrypt push: #{e.message}")
+    head :bad_request
+  end
+
+  private
+
+  # Reverses WebPushService#encrypt (RFC 8291, single aes128gcm record)
+  def decrypt(body, keys)
+    body = body.b
+    key = OpenSSL::PKey::EC.new(keys["private_key"])
+    auth = Base64.strict_decode64(keys["auth"])
+
+    salt = body[0, 16]
+    key_id_length = body.getbyte(20)
+    server_public = body[21, key_id_length]
+    ciphertext = body[(21 + key_id_length)...-16]
+    auth_tag = body[-16..]
+
+    group = OpenSSL::PKey::EC::Group.new(WebPushService::CURVE)
+    shared_secret = key.dh_compute_key(OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(server_public, 2)))
+    key_info = "WebPush: info\0".b + key.public_key.to_bn.to_s(2) + server_public
+    ikm = OpenSSL::KDF.hkdf(shared_secret, salt: auth, info: key_info, length: 32, hash: "SHA256")
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").decrypt
+    cipher.key = OpenSSL::KDF.hkdf(ikm, salt: salt, info: "Content-Encoding: aes128gcm\0", length: 16, hash: "SHA256")
+    cipher.iv = OpenSSL::KDF.hkdf(ikm, salt: salt, info: "Content-Encoding: nonce\0", length: 12, hash: "SHA256")
+    cipher.auth_tag = auth_tag
+
+    (cipher.update(ciphertext) + cipher.final).chomp("\x02").force_encoding(Encoding::UTF_8)
+  end
+end
@@ -0,0 +1,50 @@
+# frozen_string_literal: true
+
+# Web Push subscriptions belong to the signed-in user, one per device
+class PushSubscriptionsController < ApplicationController
+  before_action :require_signed_in_user
+
+  # POST /push_subscription
+  # Saves (or refreshes) this device's Web Push subscription
+  # An endpoint registered to someone else (the browser was signed in as
+  # another user) is refused; the page subscribes again for a new one
+  def create
+    endpoint = subscription_params[:endpoint]
+    if PushSubscription.where(endpoint: endpoint).where.not(user: current_user).exists?
+      return render json: { success: false, error: "Subscription belongs to another user" }, status: :forbidden
+    end
+
+    subscription = current_user.push_subscriptions.find_or_initialize_by(endpoint: endpoint)
+    subscription.assign_attributes(
+      p256dh_key: subscription_params.dig(:keys, :p256dh),
+      auth_key: subscription_params.dig(:keys, :auth),
+      user_agent: request.user_agent
+    )
+
+    if subscription.save
+      render json: { success: true }, status: :created
+    else
+      render json: { success: false, errors: subscription.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # DELETE /push_subscription
+  # Removes this device's subscription (e.g. after the user blocked notifications)
+  def destroy
+    subscription = current_user.push_subscriptions.find_by(endpoint: params[:endpoint])
+    return render json: { success: false, error: "Subscription not found" }, status: :not_found unless subscription
+
+    subscription.destroy
+    render json: { success: true }
+  end
+
+  private
+
+  def require_signed_in_user
+    render json: { success: false, error: "Sign in to get notifications" }, status: :unauthorized unless user_signed_in?
+  end
+
+  def subscription_params
+    params.require(:subscription).permit(:endpoint, keys: [:p256dh, :auth])
+  end
+end
@@ -0,0 +1,47 @@
+# frozen_string_literal: true
+
+class SettingsController < ApplicationController
+  before_action :require_authentication
+  before_action :set_settings
+
+  # GET /settings
+  # Shows the user's timer settings
+  def show
+  end
+
+  # PATCH /settings
+  # Saves the user's focus/break lengths, long break cycle, daily target, idle prompt, sounds and shortcuts
+  def update
+    if @settings.update(settings_params)
+      redirect_to root_path, notice: "Settings saved."
+    else
+      render :show, status: :unprocessable_entity
+    end
+  end
+
+  private
+
+  def set_settings
+    @settings = current_user.settings
+  end
+
+  def settings_params
+    params.require(:user_setting).permit(
+      :focus_minutes,
+      :short_break_minutes,
+      :long_break_cycle,
+      :long_break_interval,
+      :daily_target,
+      :overtime_enabled,
+      :idle_threshold_minutes,
+      sound_preferences: {
+        focus_end: [:chime, :volume, :muted],
+        break_end: [:chime, :volume, :muted],
+        warning: [:seconds, :volume, :muted],
+        ticking: [:volume, :muted],
+        noise: [:type, :volume, :muted]
+      },
+      keyboard_shortcuts: UserSetting::SHORTCUT_DEFAULTS.keys
+    )
+  end
+end
@@ -1,14 +1,13 @@
 # frozen_string_literal: true
 
 class TagsController < ApplicationController
+  before_action :set_tag, only: [:update, :merge]
+
+  # GET /tags
+  # Tags in tree order: each top-level tag followed by its children
   def index
-    tags = Tag.order(:name).map do |tag|
-      {
-        id: tag.id,
-        name: tag.name,
-        pomodoro_count: PomodoroSession.where("tags LIKE ?", "%#{tag.name}%").count
-      }
-    end
+    counts = Tag.pomodoro_counts
+    tags = Tag.in_tree_order.map { |tag| tag_json(tag, counts[tag.id] || 0) }
     
     render json: { success: true, tags: tags }
   end
@@ -19,13 +18,14 @@ class TagsController < ApplicationController
     return render json: { success: false, error: "Name is required" }, status: :unprocessable_entity if name.blank?
 
     # Find or create the tag (case-insensitive)
-    tag = Tag.find_or_initialize_by(name: name)
+    tag = Tag.find_named(name) || Tag.new(name: name, parent_id: params[:parent_id].presence)
     
     if tag.new_record?
       if tag.save
+        broadcast_to_devices("tags_changed", available_tags: Tag.tree_options)
         render json: { 
           success: true, 
-          tag: { id: tag.id, name: tag.name, pomodoro_count: 0 }, 
+          tag: tag_json(tag, 0), 
           is_new: true 
         }, status: :created
       else
@@ -35,20 +35,89 @@ class TagsController < ApplicationController
       # Tag already exists
       render json: { 
         success: true, 
-        tag: { id: tag.id, name: tag.name, pomodoro_count: PomodoroSession.where("tags LIKE ?", "%#{tag.name}%").count }, 
+        tag: tag_json(tag, tag.pomodoro_tags.count), 
         is_new: false 
       }, status: :ok
     end
   end
 
+  # PATCH /tags/:id
+  # Renames a tag (name), moves it into a project (parent_id) or back to
+  # the top level (blank parent_id), or changes its color or emoji (a blank
+  # emoji removes it)
+  # Past pomodoros point at the tag, so a rename relabels them all
+  def update
+    old_name = @tag.name
+    attributes = {}
+    attributes[:name] = params[:name].to_s.strip if params.key?(:name)
+    attributes[:parent_id] = params[:parent_id].presence if params.key?(:parent_id)
+    attributes[:color] = params[:color].to_s if params.key?(:color)
+    attributes[:emoji] = params[:emoji].to_s if params.key?(:emoji)
+
+    if @tag.update(attributes)
+      render_tag_changes(renamed: @tag.saved_change_to_name? ? { old_name => @tag.name } : {})
+    else
+      render json: { success: false, errors: @tag.errors.full_messages }, status: :unprocessable_entity
+    end
+  end
+
+  # POST /tags/:id/merge
+  # Moves every pomodoro with this tag onto the tag into_id, then deletes this tag
+  def merge
+    target = Tag.find_by(id: params[:into_id])
+    return render json: { success: false, error: "Tag not found" }, status: :not_found unless target
+
+    if target == @tag
+      return render json: { success: false, error: "A tag can't be merged into itself" }, status: :unprocessable_entity
+    end
+
+    affected = @tag.merge_into!(target)
+    render_tag_changes(renamed: { @tag.name => target.name }, affected: affected)
+  rescue ActiveRecord::RecordInvalid, ActiveRecord::RecordNotDestroyed => e
+    render json: { success: false, error: e.message }, status: :unprocessable_entity
+  end
+
   def destroy
     tag = Tag.find_by(id: params[:id])
     
     if tag
+      # The tag comes off its pomodoros too, and its child tags move to the top level
       tag.destroy
-      render json: { success: true }
+      broadcast_to_devices("tags_changed", available_tags: Tag.tree_options, tag_statistics: PomodoroSession.tag_statistics)
+      render json: { success: true, tag_statistics: PomodoroSession.tag_statistics }
     else
       render json: { success: false, error: "Tag not found" }, status: :not_found
     end
   end
+
+  private
+
+  def set_tag
+    @tag = Tag.find_by(id: params[:id])
+    render json: { success: false, error: "Tag not found" }, status: :not_found unless @tag
+  end
+
+  def tag_json(tag, pomodoro_count)
+    {
+      id: tag.id,
+      name: tag.name,
+      parent_id: tag.parent_id,
+      color: tag.color,
+      emoji: tag.emoji,
+      pomodoro_count: pomodoro_count
+    }
+  end
+
+  # Tells every device the tags changed (renamed maps old names to new ones,
+  # so selections follow) and answers with the new dropdown and statistics
+  def render_tag_changes(renamed: {}, **details)
+    changes = {
+      available_tags: Tag.tree_options,
+      tag_statistics: PomodoroSession.tag_statistics,
+      renamed: renamed
+    }
+
+    broadcast_to_devices("tags_changed", changes)
+    render json: { success: true, **changes, **details }
+  end
 end
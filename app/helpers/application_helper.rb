@@ -13,4 +13,32 @@ module ApplicationHelper
       date.strftime("%b %d") # e.g., "Jan 13"
     end
   end
+
+  # Timer actions that can have a keyboard shortcut, with what they do
+  # In the order they're listed in settings and the shortcut overlay
+  def shortcut_descriptions
+    {
+      "start_stop" => "Start or stop (ends a break early)",
+      "pause" => "Pause or resume",
+      "break_1" => "Shortest break length",
+      "break_2" => "Second break length",
+      "break_3" => "Third break length",
+      "focus_description" => "Edit what you're working on",
+      "focus_tags" => "Choose tags",
+      "internal_interruption" => "Mark an internal interruption",
+      "external_interruption" => "Mark an external interruption",
+      "tag_stats" => "Show time by tag",
+      "help" => "Show these shortcuts"
+    }
+  end
+
+  # Key as printed on the keyboard, e.g. "P" for "p"
+  def shortcut_key_label(key)
+    key.length == 1 ? key.upcase : key
+  end
+
+  # A tag as a dot in its color (or its emoji on that color), named on hover
+  def tag_badge(tag)
+    content_tag(:span, tag.emoji, class: "tag-badge", title: tag.name, data: { tag: tag.name }, style: "--tag-color: #{tag.color}")
+  end
 end
@@ -1,3 +1,10 @@
 // Configure your import map in config/importmap.rb. Read more: https://github.com/rails/importmap-rails
 import "@hotwired/turbo-rails"
 import "controllers"
+
+// Service worker replays offline pomodoro saves (Background Sync)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/service-worker", { type: "module" }).catch(error => {
+    console.error("[Pomodoro] Service worker registration failed:", error)
+  })
+}
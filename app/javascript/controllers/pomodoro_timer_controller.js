@@ -1,58 +1,163 @@
 import { Controller } from "@hotwired/stimulus"
+import consumer from "channels/consumer"
+import SoundEngine from "lib/sound_engine"
+import TimerEngine from "lib/timer_engine"
+import { fuzzyFilter } from "lib/fuzzy_match"
+import { queueRequest, removeRequest, pendingRequests, sendRequest, replayQueue, requestBackgroundSync, takeQueuedActions } from "lib/save_queue"
 
 /**
  * Pomodoro Timer Controller
  *
- * Implements a state machine for the Pomodoro technique with:
- * - 25-minute focus sessions
- * - 5-minute short breaks (after most pomodoros)
- * - Variable long breaks every 3 pomodoros (30/60/30 minute cycle)
+ * Runs the Pomodoro technique's state machine (lib/timer_engine, which holds
+ * the states, transitions and timing without any DOM) and renders it, with:
+ * - Focus sessions (25 minutes by default)
+ * - Short breaks after most pomodoros (5 minutes by default)
+ * - Long breaks every few pomodoros, cycling through a list of lengths
+ *   (by default every 3rd, 30/60/30 minutes)
  *
- * States:
+ * Durations are defaults; signed-in users override them on the settings page
+ * and they arrive here as the focus/short-break/long-break values.
+ *
+ * The position in the long-break cycle is derived from today's completed
+ * count, so it carries across reloads and resets at midnight. The break
+ * toggles override whichever break was picked.
+ *
+ * States (the engine's STATES; read them from this.engine, change them
+ * through its methods):
  * 1. ready - Initial state, waiting to start
- * 2. pomodoro_running - 25-minute focus session in progress
- * 3. break_running - Break in progress (short or long)
- * 4. completed_break - Brief transition state before returning to ready
+ * 2. pomodoro_running - Focus session in progress
+ * 3. paused - Focus session paused; remaining time is frozen and the paused
+ *    time is added to the session's end and reported as paused_seconds
+ * 4. overtime - Flow mode only: the focus period ended but the session keeps
+ *    counting up until finished manually; the real length is saved
+ * 5. break_running - Break in progress (short or long); when it ends the
+ *    timer goes straight back to ready
+ *
+ * Idle time: with no activity for the configured number of minutes during
+ * focus (input in any tab, or the Idle Detection API where permitted), the
+ * user is asked "Were you focusing?" and can keep the time away, end the
+ * session when they left, or discard the time away like a pause. A session
+ * that runs out meanwhile waits for the answer before it's saved.
+ *
+ * Stopping a focus session records it as abandoned (with its elapsed time and
+ * an optional reason). Interruptions can be marked while focusing, following
+ * the classic technique: ' for internal, - for external.
+ *
+ * Keyboard Shortcuts:
+ * - Space to start or stop, P to pause, 1/2/3 for break lengths, T for tags,
+ *   and so on; signed-in users remap them in settings (shortcuts value)
+ * - ? lists the current bindings; shortcuts are ignored while typing
+ * - Ctrl/Cmd+K opens a command palette that searches Google Tasks, recent
+ *   descriptions, tags and actions; "Task X #tag" fills in both and starts
+ *
+ * Timing:
+ * - Each running phase has an absolute end timestamp (phaseEndsAt)
+ * - Remaining time is derived from the wall clock on every tick, so
+ *   throttled background tabs and laptop sleep can't stretch a session
+ * - A phase that expired while the tab was asleep is completed as of its
+ *   scheduled end time, not the time the tab woke up
+ *
+ * Persistence:
+ * - The running phase is saved to localStorage on every transition and
+ *   restored on connect(), so reloads and Turbo visits resume the session
+ *
+ * Multiple Tabs:
+ * - Transitions are mirrored to other tabs over a BroadcastChannel
+ * - One tab holds a Web Lock and is the leader; only the leader completes
+ *   sessions (saving the pomodoro) and shows notifications
+ * - When the leader closes, the lock passes to another tab, which catches up
+ *
+ * Offline:
+ * - Saves go through a durable IndexedDB queue (lib/save_queue) with an
+ *   idempotency key; ones that can't reach the server are replayed by the
+ *   service worker (Background Sync) or when the page is back online, and
+ *   a pending-sync indicator shows how many are waiting
+ * - The service worker caches the app shell, so the page opens without a
+ *   connection; queued pomodoros are listed in today's list until saved
+ *
+ * Sounds:
+ * - Chimes at the end of focus and of a break, a warning shortly before the
+ *   end, and optional ticking and background noise while focusing, all
+ *   generated with Web Audio (lib/sound_engine) per the user's settings
+ * - Only the leader tab plays them
+ *
+ * Notifications:
+ * - Shown through the service worker with action buttons (Skip break,
+ *   +5 min, End break, Start next pomodoro); a click drives the timer in the
+ *   open tab, or is queued for the next tab if none is open
+ * - The leader tab notifies directly; with Web Push set up, the server also
+ *   pushes "Pomodoro complete" / "Break over" through the service worker, so
+ *   they arrive even if the tab was discarded (both share a tag, so an open
+ *   tab doesn't get two)
+ *
+ * Multiple Devices:
+ * - Starting a focus session creates an in-progress pomodoro on the server,
+ *   which is kept up to date on pause/resume and completed or cancelled at the end
+ * - A device that opens with nothing running joins the active pomodoro, so
+ *   a phone shows the same countdown as the laptop that started it
+ * - Changes are pushed live over Action Cable (PomodoroChannel): new and
+ *   deleted pomodoros, tag changes and timer state, so every device's list,
+ *   count and stats stay current
  *
  * Visual Indicators:
  * - Focus mode: Warm amber background
  * - Break mode: Calming teal/green background
  * - Break ending: Pulse animation before returning to ready
+ * - Background tabs: the tab title counts down ("12:34 • Focus – Write report")
+ *   and the favicon is redrawn as a small progress ring in the phase's colors
+ * - Mini timer: a small always-on-top window (Document Picture-in-Picture, or
+ *   a popup) with the countdown, phase, description and controls
  */
 export default class extends Controller {
-  static targets = ["timer", "status", "startButton", "stopButton", "description", "tagInput", "tagDropdown", "addNewOption", "addNewText", "combobox", "count", "container", "activeTitle", "sidebar", "sidebarToggle", "sidebarToggleIcon", "todayProgress", "progressBar", "timerRing", "tagStatsModal", "pieChart", "pieChartContainer", "tagStatsLegend", "tasksContent", "tasksList", "tasksLoading", "tasksError", "historySection", "historySectionContent", "historySectionIcon", "tasksSection", "tasksSectionContent", "tasksSectionIcon", "calendarSection", "calendarSectionContent", "calendarSectionIcon", "calendarContent", "calendarList", "calendarLoading", "calendarError", "todayPomodorosSection", "todayPomodorosSectionContent", "todayPomodorosSectionIcon", "todayPomodorosList", "tagManagerModal", "tagManagerList", "newTagInput", "whereWasIModal", "whereWasIInput", "postit", "postitContent", "breakControls", "breakToggles", "breakToggle5", "breakToggle30", "breakToggle60", "endBreakButton"]
-  static values = { todayCount: Number, todayDate: String, dailyTarget: Number, tagStatistics: Array, userSignedIn: Boolean, hasTaskList: Boolean }
+  static targets = ["timer", "status", "startButton", "stopButton", "pauseButton", "resumeButton", "finishButton", "description", "tagInput", "tagChips", "tagDropdown", "addNewOption", "addNewText", "combobox", "count", "container", "activeTitle", "sidebar", "sidebarToggle", "sidebarToggleIcon", "todayProgress", "progressBar", "timerRing", "tagStatsModal", "pieChart", "pieChartContainer", "tagStatsLegend", "tasksContent", "tasksList", "tasksLoading", "tasksError", "historySection", "historySectionContent", "historySectionIcon", "tasksSection", "tasksSectionContent", "tasksSectionIcon", "calendarSection", "calendarSectionContent", "calendarSectionIcon", "calendarContent", "calendarList", "calendarLoading", "calendarError", "todayPomodorosSection", "todayPomodorosSectionContent", "todayPomodorosSectionIcon", "todayPomodorosList", "tagManagerModal", "tagManagerList", "newTagInput", "newTagParent", "whereWasIModal", "whereWasIInput", "postit", "postitContent", "breakControls", "breakToggles", "breakToggle", "endBreakButton", "interruptionControls", "internalInterruptionCount", "externalInterruptionCount", "abandonModal", "abandonReasonInput", "syncIndicator", "shortcutsModal", "paletteModal", "paletteInput", "paletteResults", "idleModal", "idleMessage"]
+  static values = { todayCount: Number, todayDate: String, dailyTarget: Number, tagStatistics: Array, recentDescriptions: Array, userSignedIn: Boolean, hasTaskList: Boolean, focusMinutes: Number, shortBreakMinutes: Number, longBreakCycle: Array, longBreakInterval: Number, overtimeEnabled: Boolean, idleThresholdMinutes: Number, vapidPublicKey: String, sounds: Object, shortcuts: Object }
   
-  // Colors for pie chart slices - distinct, accessible palette
-  static PIE_COLORS = [
-    "#3b82f6", // Blue
-    "#10b981", // Emerald
-    "#f59e0b", // Amber
-    "#ef4444", // Red
-    "#8b5cf6", // Violet
-    "#06b6d4", // Cyan
-    "#f97316", // Orange
-    "#84cc16", // Lime
-    "#ec4899", // Pink
-    "#6366f1", // Indigo
-    "#14b8a6", // Teal
-    "#a855f7"  // Purple
+  // Tags get their colors from the server; this is for one the page doesn't know yet
+  static UNKNOWN_TAG_COLOR = "#9ca3af"
+
+  // localStorage key for the in-progress timer state
+  static TIMER_STATE_KEY = "pomodoro_timer_state"
+
+  // Cross-tab coordination
+  static SYNC_CHANNEL_NAME = "pomodoro_timer"
+  static LEADER_LOCK_NAME = "pomodoro_timer_leader"
+
+  // Notification action buttons (handled by handleNotificationAction)
+  static BREAK_STARTED_ACTIONS = [
+    { action: "skip_break", title: "Skip break" },
+    { action: "extend_break", title: "+5 min" },
+    { action: "end_break", title: "End break" }
   ]
+  static BREAK_OVER_ACTIONS = [{ action: "start_pomodoro", title: "Start next pomodoro" }]
+  static BREAK_EXTENSION = 5 * 60 // "+5 min"
+  // Actions queued while no tab was open are dropped after this long
+  static QUEUED_ACTION_MAX_AGE = 60 * 60 * 1000
 
-  // Timer durations in seconds
-  static POMODORO_DURATION = 25 * 60       // 25 minutes
-  static SHORT_BREAK_DURATION = 5 * 60     // 5 minutes
-  // Long break duration cycle: 30min -> 60min -> 30min -> repeat
-  static LONG_BREAK_DURATIONS = [30 * 60, 60 * 60, 30 * 60]
+  // Input that counts as being at the computer, and how often to tell other tabs
+  static ACTIVITY_EVENTS = ["pointermove", "pointerdown", "keydown", "wheel", "touchstart"]
+  static ACTIVITY_BROADCAST_INTERVAL = 15 * 1000
 
   connect() {
-    this.state = "ready"
-    this.secondsRemaining = this.constructor.POMODORO_DURATION
-    this.intervalId = null
+    // Durations from the user's settings; the engine falls back to the defaults
+    this.engine = new TimerEngine({
+      focusDuration: this.focusMinutesValue * 60,
+      shortBreakDuration: this.shortBreakMinutesValue * 60,
+      longBreakDurations: this.longBreakCycleValue.map(minutes => minutes * 60),
+      longBreakInterval: this.longBreakIntervalValue,
+      overtimeEnabled: this.overtimeEnabledValue
+    })
+    this.engine.on("tick", () => this.handleEngineTick())
+    this.engine.on("expired", (event) => this.handlePhaseExpired(event))
+    this.idleThreshold = this.idleThresholdMinutesValue * 60 * 1000 // 0 = don't ask
+
     this.completedToday = this.todayCountValue
     this.currentDate = this.todayDateValue // Track date for midnight reset
     this.dailyTarget = this.dailyTargetValue || 11
-    this.pomodoroStartedAt = null
+    this.pendingAbandonedPomodoro = null
+    this.serverSessionId = null // In-progress pomodoro on the server
+    this.breakPomodoroId = null // Saved pomodoro the current break follows
+    this.sounds = new SoundEngine(this.soundsValue)
+    this.warnedFor = null // phaseEndsAt the pre-end warning last played for
     this.notificationPermissionRequested = false
     this.sidebarCollapsed = false
     this.historySectionCollapsed = false
@@ -61,6 +166,26 @@ export default class extends Controller {
     this.todayPomodorosSectionCollapsed = false
     this.tasksLoaded = false
     this.calendarLoaded = false
+    this.selectedTags = [] // Tag names chosen in the combobox
+    this.statsProject = null // Project the tag stats are drilled into
+    this.managedTags = [] // Tags listed in the tag manager
+    this.pendingTagEdit = null // Rename or merge waiting to be confirmed
+    this.tasks = [] // Google Tasks, for the command palette
+    this.recentDescriptions = this.recentDescriptionsValue
+    this.paletteItems = []
+    this.paletteIndex = 0
+    this.baseTitle = document.title // Restored when nothing is running
+    this.faviconLinks = Array.from(document.querySelectorAll('link[rel="icon"]'))
+      .map(link => ({ link, href: link.href, type: link.type }))
+    this.faviconCanvas = null
+    this.faviconKey = null // Last ring drawn, to skip identical redraws
+    this.miniWindow = null // Picture-in-Picture or popup mini timer
+    this.lastActivityAt = Date.now()
+    this.lastActivityBroadcastAt = 0
+    this.idleSince = null // Start of the time away the idle prompt asks about
+    this.idleEndedAt = null // When activity resumed, if it has
+    this.systemIdle = false
+    this.idleDetector = null
 
     this.updateDisplay()
     this.updateVisualState()
@@ -71,9 +196,25 @@ export default class extends Controller {
     this.handleClickOutside = this.handleClickOutside.bind(this)
     document.addEventListener("click", this.handleClickOutside)
     
-    // Debug: keyboard shortcut to force complete (Ctrl+Shift+D)
-    this.handleDebugKeydown = this.handleDebugKeydown.bind(this)
-    document.addEventListener("keydown", this.handleDebugKeydown)
+    // Audio can only start after a user gesture
+    this.unlockAudio = this.unlockAudio.bind(this)
+    document.addEventListener("pointerdown", this.unlockAudio)
+    document.addEventListener("keydown", this.unlockAudio)
+    
+    // Timer shortcuts (Space to start/stop, P to pause/resume, ...)
+    this.handleShortcutKeydown = this.handleShortcutKeydown.bind(this)
+    document.addEventListener("keydown", this.handleShortcutKeydown)
+    
+    // Notice when nobody's at the computer during focus
+    this.noteActivity = this.noteActivity.bind(this)
+    this.constructor.ACTIVITY_EVENTS.forEach(type => {
+      document.addEventListener(type, this.noteActivity, { passive: true })
+    })
+    this.resumeIdleDetector()
+    
+    // Catch up immediately when a throttled or sleeping tab becomes visible
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this)
+    document.addEventListener("visibilitychange", this.handleVisibilityChange)
     
     // Load tasks on connect if user has a task list configured
     if (this.hasTaskListValue && !this.tasksLoaded) {
@@ -87,54 +228,73 @@ export default class extends Controller {
     
     // Load any existing "Where was I?" note from localStorage
     this.loadPostit()
-  }
-  
-  /**
-   * Handle debug keyboard shortcuts
-   */
-  handleDebugKeydown(event) {
-    const isCtrlOrCmd = event.ctrlKey || event.metaKey
     
-    // Alt+Enter to force complete current pomodoro
-    if (event.altKey && event.key === "Enter") {
-      event.preventDefault()
-      event.stopPropagation()
-      console.log("[Pomodoro] Debug shortcut triggered (Alt+Enter)")
-      this.debugForceComplete()
-      return
-    }
+    // Coordinate with other open tabs
+    this.setupTabSync()
     
-    // Ctrl+Shift+D or Cmd+Shift+D - force complete pomodoro
-    if (isCtrlOrCmd && event.shiftKey && (event.key === "D" || event.key === "d")) {
-      event.preventDefault()
-      event.stopPropagation()
-      console.log("[Pomodoro] Debug shortcut triggered (Ctrl+Shift+D)")
-      this.debugForceComplete()
-      return
-    }
+    // Receive changes made on other devices
+    this.setupLiveUpdates()
     
-    // Ctrl+Shift+B or Cmd+Shift+B - end break early
-    if (isCtrlOrCmd && event.shiftKey && (event.key === "B" || event.key === "b")) {
-      event.preventDefault()
-      event.stopPropagation()
-      console.log("[Pomodoro] Debug shortcut triggered (Ctrl+Shift+B) - ending break")
-      this.debugEndBreak()
-      return
+    // Refresh this device's push subscription if notifications are already allowed
+    if ("Notification" in window && Notification.permission === "granted") {
+      this.subscribeToPush()
     }
     
-    // Ctrl+Shift+F as backup for pomodoro complete
-    if (isCtrlOrCmd && event.shiftKey && (event.key === "F" || event.key === "f")) {
-      event.preventDefault()
-      event.stopPropagation()
-      console.log("[Pomodoro] Debug shortcut triggered (Ctrl+Shift+F)")
-      this.debugForceComplete()
+    // Replay saves that failed while offline
+    this.handleOnline = this.handleOnline.bind(this)
+    window.addEventListener("online", this.handleOnline)
+    this.handleServiceWorkerMessage = this.handleServiceWorkerMessage.bind(this)
+    navigator.serviceWorker?.addEventListener("message", this.handleServiceWorkerMessage)
+    this.flushPendingSaves()
+    
+    // Resume a pomodoro or break that was running before a reload
+    this.restoreTimerState()
+    
+    // Otherwise pick up a pomodoro running on another device
+    if (this.engine.state === "ready") {
+      this.fetchActiveSession()
     }
+    
+    // Apply notification actions clicked while no tab was open
+    this.applyQueuedActions()
   }
-
+  
   disconnect() {
-    this.stopTimer()
+    this.engine.stopTicking()
     document.removeEventListener("click", this.handleClickOutside)
-    document.removeEventListener("keydown", this.handleDebugKeydown)
+    document.removeEventListener("keydown", this.handleShortcutKeydown)
+    document.removeEventListener("visibilitychange", this.handleVisibilityChange)
+    this.constructor.ACTIVITY_EVENTS.forEach(type => {
+      document.removeEventListener(type, this.noteActivity, { passive: true })
+    })
+    this.idleDetectorAbort?.abort()
+    this.teardownTabSync()
+    this.teardownLiveUpdates()
+    document.removeEventListener("pointerdown", this.unlockAudio)
+    document.removeEventListener("keydown", this.unlockAudio)
+    this.sounds.stopAll()
+    document.title = this.baseTitle
+    this.restoreFavicon()
+    this.closeMiniTimer()
+    window.removeEventListener("online", this.handleOnline)
+    navigator.serviceWorker?.removeEventListener("message", this.handleServiceWorkerMessage)
+    
+    // Don't lose a stopped pomodoro whose reason prompt was left open
+    this.recordAbandonedPomodoro()
+  }
+
+  /**
+   * Re-sync the countdown with the wall clock when the tab becomes visible
+   * Timers in hidden tabs are throttled, so the display may be stale
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState !== "visible") return
+    
+    // Coming back to the tab counts as activity
+    this.noteActivity()
+    if (this.engine.ticking) {
+      this.engine.tick()
+    }
   }
 
   /**
@@ -244,25 +404,7 @@ export default class extends Controller {
             itemEl.remove()
           }
           
-          // Update the count
-          this.completedToday = data.today_count
-          this.updateCount()
-          
-          // Update tag statistics chart
-          if (data.tag_statistics) {
-            this.tagStatisticsValue = data.tag_statistics
-            this.updateTagStatsDisplay()
-          }
-          
-          // Check if list is now empty
-          if (this.hasTodayPomodorosListTarget) {
-            const remainingItems = this.todayPomodorosListTarget.querySelectorAll(".pomodoro-item")
-            if (remainingItems.length === 0) {
-              this.todayPomodorosListTarget.innerHTML = `
-                <div class="empty-message">No pomodoros yet today</div>
-              `
-            }
-          }
+          this.applyDeletedPomodoro(data)
         } else {
           console.error("[Pomodoro] Delete failed:", data.error)
         }
@@ -275,8 +417,39 @@ export default class extends Controller {
     }
   }
 
+  /**
+   * Update count, stats and today's list after a pomodoro was deleted
+   * Used both by the tab that deleted it and by devices notified live
+   */
+  applyDeletedPomodoro(data) {
+    if (data.id && this.hasTodayPomodorosListTarget) {
+      this.todayPomodorosListTarget.querySelector(`.pomodoro-item[data-pomodoro-id="${data.id}"]`)?.remove()
+    }
+    
+    // Update the count
+    this.completedToday = data.today_count
+    this.updateCount()
+    
+    // Update tag statistics chart
+    if (data.tag_statistics) {
+      this.tagStatisticsValue = data.tag_statistics
+      this.updateTagStatsDisplay()
+    }
+    
+    // Check if list is now empty
+    if (this.hasTodayPomodorosListTarget) {
+      const remainingItems = this.todayPomodorosListTarget.querySelectorAll(".pomodoro-item")
+      if (remainingItems.length === 0) {
+        this.todayPomodorosListTarget.innerHTML = `
+          <div class="empty-message">No pomodoros yet today</div>
+        `
+      }
+    }
+  }
+
   /**
    * Add a new pomodoro to the today's list
+   * Skipped if it's already listed (e.g. the live update arrived first)
    */
   addPomodoroToTodayList(pomodoro) {
     console.log("[Pomodoro] addPomodoroToTodayList called with:", pomodoro)
@@ -293,6 +466,8 @@ export default class extends Controller {
       return
     }
     
+    if (listEl.querySelector(`.pomodoro-item[data-pomodoro-id="${pomodoro.id}"]`)) return
+    
     // Ensure the sidebar is expanded
     const sidebar = document.querySelector(".sidebar")
     if (sidebar && sidebar.classList.contains("collapsed")) {
@@ -317,6 +492,8 @@ export default class extends Controller {
       <div class="pomodoro-item" data-pomodoro-id="${pomodoro.id}">
         <span class="pomodoro-time">${this.escapeHtml(pomodoro.started_at || "")}</span>
         <span class="pomodoro-title">${this.escapeHtml(pomodoro.description || "Untitled")}</span>
+        ${pomodoro.tags?.length > 0 ? `<span class="pomodoro-tags">${pomodoro.tags.map(tag => this.tagBadgeHtml(tag)).join("")}</span>` : ""}
+        ${pomodoro.overtime_minutes > 0 ? `<span class="pomodoro-overtime" title="Overtime">+${pomodoro.overtime_minutes}m</span>` : ""}
         <button class="pomodoro-delete" data-action="click->pomodoro-timer#deletePomodoro" data-pomodoro-id="${pomodoro.id}">×</button>
       </div>
     `
@@ -493,6 +670,7 @@ export default class extends Controller {
    */
   renderTasks(tasks) {
     if (!this.hasTasksListTarget) return
+    this.tasks = tasks
 
     if (tasks.length === 0) {
       this.tasksListTarget.innerHTML = `
@@ -639,6 +817,18 @@ export default class extends Controller {
     return div.innerHTML
   }
 
+  /**
+   * Escape text for a quoted attribute value (escapeHtml leaves quotes alone)
+   */
+  escapeAttribute(text) {
+    return String(text ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;")
+  }
+
   /**
    * Format a date string for display
    */
@@ -660,39 +850,171 @@ export default class extends Controller {
    * Called when user clicks the Start button
    */
   start() {
-    if (this.state !== "ready") return
+    if (this.engine.state !== "ready") return
 
     // Request notification permission on first interaction
     this.requestNotificationPermission()
+    this.startIdleDetector()
 
     // Check if date has changed (midnight crossed)
     this.checkDateChange()
 
-    this.state = "pomodoro_running"
-    this.pomodoroStartedAt = new Date()
-    this.secondsRemaining = this.constructor.POMODORO_DURATION
+    this.engine.start()
+    this.rememberDescription()
 
+    this.persistTimerState()
     this.updateUI()
-    this.startTimer()
+    this.startServerSession()
   }
 
   /**
    * Stop/cancel the current pomodoro
-   * Does NOT log the pomodoro - simply resets to ready state
+   * Resets to ready state right away and records the session as abandoned,
+   * after asking for an optional reason
    */
   stop() {
-    if (this.state !== "pomodoro_running") return
+    // The engine counts an ongoing pause as paused time up to now
+    const session = this.engine.stop()
+    if (!session) return
+    
+    this.pendingAbandonedPomodoro = {
+      ...this.pomodoroPayload(session),
+      abandoned_at: session.endedAt.toISOString(),
+      id: this.serverSessionId
+    }
+
+    this.resetToReady()
+    this.persistTimerState()
+    
+    this.showAbandonPrompt()
+  }
+
+  /**
+   * Return to the ready state, discarding any running phase
+   */
+  resetToReady() {
+    this.engine.reset()
+    this.serverSessionId = null
+    this.breakPomodoroId = null
+    this.updateUI()
+  }
+
+  /**
+   * Pause the running focus session
+   * The countdown freezes until resume() pushes the end time back
+   */
+  pause() {
+    if (!this.engine.pause()) return
+    
+    console.log("[Pomodoro] Paused with", this.engine.secondsRemaining, "seconds remaining")
+    
+    this.persistTimerState()
+    this.syncServerSession()
+    this.updateUI()
+  }
+
+  /**
+   * Resume a paused focus session
+   * Shifts the end time by the length of the pause and adds it to the paused total
+   */
+  resume() {
+    if (this.engine.state !== "paused") return
+    
+    const pauseLength = this.engine.now() - this.engine.pausedAt
+    this.engine.resume()
+    
+    console.log("[Pomodoro] Resumed after", Math.round(pauseLength / 1000), "seconds paused")
+    
+    this.persistTimerState()
+    this.syncServerSession()
+    this.updateUI()
+  }
+
+  /**
+   * Mark an internal interruption (the urge to do something else)
+   */
+  markInternalInterruption() {
+    if (!this.engine.markInterruption("internal")) return
+    
+    this.persistTimerState()
+    this.syncServerSession()
+    this.updateInterruptionCounts()
+  }
 
-    this.stopTimer()
+  /**
+   * Mark an external interruption (someone or something else)
+   */
+  markExternalInterruption() {
+    if (!this.engine.markInterruption("external")) return
     
-    // Reset to ready state without saving
-    this.state = "ready"
-    this.secondsRemaining = this.constructor.POMODORO_DURATION
-    this.pomodoroStartedAt = null
+    this.persistTimerState()
+    this.syncServerSession()
+    this.updateInterruptionCounts()
+  }
+
+  /**
+   * Update the interruption counters shown during focus
+   */
+  updateInterruptionCounts() {
+    if (this.hasInternalInterruptionCountTarget) {
+      this.internalInterruptionCountTarget.textContent = this.engine.internalInterruptions
+    }
+    if (this.hasExternalInterruptionCountTarget) {
+      this.externalInterruptionCountTarget.textContent = this.engine.externalInterruptions
+    }
+  }
 
+  /**
+   * Whether a focus session is under way (running, paused or in overtime)
+   */
+  isFocusActive() {
+    return this.engine.isFocusActive()
+  }
+
+  /**
+   * Keep the session going past zero (flow mode)
+   * The focus end stays in phaseEndsAt; overtime is measured from it
+   */
+  enterOvertime() {
+    console.log("[Pomodoro] Focus period over, continuing in overtime")
+    
+    this.engine.enterOvertime()
+    this.showNotification("Focus time's up", "Keep going, and finish when you're ready.")
+    
+    this.persistTimerState()
     this.updateUI()
   }
 
+  /**
+   * Finish an overtime session now, saving its real length
+   */
+  finishOvertime() {
+    if (this.engine.state !== "overtime") return
+    
+    console.log("[Pomodoro] Finishing after", this.overtimeSeconds(), "seconds of overtime")
+    
+    this.engine.stopTicking()
+    this.completePomodoro(new Date())
+  }
+
+  /**
+   * Seconds spent past the end of the focus period
+   */
+  overtimeSeconds() {
+    return this.engine.overtimeSeconds()
+  }
+
+  /**
+   * Pause or resume depending on the current state
+   */
+  togglePause() {
+    if (this.engine.state === "pomodoro_running") {
+      this.pause()
+    } else if (this.engine.state === "paused") {
+      this.resume()
+    }
+  }
+
   /**
    * Check if the date has changed (midnight crossed)
    * If so, reset the daily counter to 0
@@ -717,84 +1039,54 @@ export default class extends Controller {
     this.notificationPermissionRequested = true
 
     if ("Notification" in window && Notification.permission === "default") {
-      Notification.requestPermission()
+      Notification.requestPermission().then(permission => {
+        if (permission === "granted") this.subscribeToPush()
+      })
     }
   }
 
   /**
-   * Start the countdown timer
-   * Ticks every second until time runs out
+   * Render the engine's once-a-second tick
    */
-  startTimer() {
-    this.stopTimer() // Clear any existing interval
-    this.intervalId = setInterval(() => this.tick(), 1000)
+  handleEngineTick() {
+    this.updateDisplay()
+    this.updateTimerRing()
+    // Flow mode counts up past the end, so there's nothing to warn about
+    if (this.engine.state !== "overtime") this.checkWarning()
+    this.checkIdle()
   }
 
   /**
-   * Stop the countdown timer
+   * A focus session or break ran out (the engine has stopped ticking)
    */
-  stopTimer() {
-    if (this.intervalId) {
-      clearInterval(this.intervalId)
-      this.intervalId = null
-    }
-  }
+  handlePhaseExpired({ state, endedAt }) {
+    console.log("[Pomodoro] Timer reached zero, state:", state)
 
-  /**
-   * Timer tick - decrements time and checks for completion
-   */
-  tick() {
-    this.secondsRemaining--
-    this.updateDisplay()
+    // Only the leader tab completes; nudge it in case its timers are throttled
+    if (!this.isLeader) {
+      this.broadcast({ type: "expired" })
+      return
+    }
 
-    if (this.secondsRemaining <= 0) {
-      console.log("[Pomodoro] Timer reached zero, state:", this.state)
-      this.stopTimer()
+    // Complete as of the scheduled end, even if the tab was asleep past it
+    this.playCue(state === "break_running" ? "break_end" : "focus_end", endedAt)
 
-      if (this.state === "pomodoro_running") {
-        this.completePomodoro()
-      } else if (this.state === "break_running") {
-        this.completeBreak()
-      }
-    }
-  }
+    // Don't save a session with time away in it until the user has answered
+    if (state === "pomodoro_running" && this.idleSince) return
 
-  /**
-   * Debug: Force complete the current pomodoro (for testing)
-   * Called via keyboard shortcut Ctrl+Shift+D
-   */
-  async debugForceComplete() {
-    console.log("[Pomodoro] Debug: debugForceComplete called, state:", this.state)
-    if (this.state === "pomodoro_running") {
-      console.log("[Pomodoro] Debug: Stopping timer...")
-      this.stopTimer()
-      console.log("[Pomodoro] Debug: Timer stopped, intervalId:", this.intervalId)
-      
-      try {
-        console.log("[Pomodoro] Debug: Calling completePomodoro...")
-        await this.completePomodoro()
-        console.log("[Pomodoro] Debug: completePomodoro finished, new state:", this.state)
-      } catch (error) {
-        console.error("[Pomodoro] Debug: Error in completePomodoro:", error)
-      }
-    } else {
-      console.log("[Pomodoro] Debug: Not in pomodoro_running state, current state:", this.state)
-    }
+    this.endPhase(endedAt)
   }
 
   /**
-   * Debug: End the current break early
-   * Called via keyboard shortcut Ctrl+Shift+B
+   * Move on from a phase whose time ran out at endedAt
    */
-  debugEndBreak() {
-    console.log("[Pomodoro] Debug: debugEndBreak called, state:", this.state)
-    if (this.state === "break_running") {
-      console.log("[Pomodoro] Debug: Ending break early...")
-      this.stopTimer()
+  endPhase(endedAt) {
+    if (this.engine.state === "pomodoro_running" && this.engine.overtimeEnabled) {
+      this.enterOvertime()
+    } else if (this.engine.state === "pomodoro_running") {
+      this.completePomodoro(endedAt)
+    } else if (this.engine.state === "break_running") {
       this.completeBreak()
-      console.log("[Pomodoro] Debug: Break ended, new state:", this.state)
-    } else {
-      console.log("[Pomodoro] Debug: Not in break_running state, current state:", this.state)
     }
   }
 
@@ -803,10 +1095,14 @@ export default class extends Controller {
    * - Persists to server
    * - Determines break type
    * - Starts appropriate break
+   *
+   * completedAt is the scheduled end of the session; the break is timed from
+   * it, so a break that also expired while the tab slept completes right away
    */
-  async completePomodoro() {
+  async completePomodoro(completedAt = new Date()) {
+    this.engine.clearPhaseEnd()
+
     try {
-      const completedAt = new Date()
       console.log("[Pomodoro] Timer completed, saving pomodoro...")
 
       // Check for date change before saving
@@ -818,29 +1114,10 @@ export default class extends Controller {
 
       // Update count from server response if available, otherwise increment locally
       if (response && response.today_count !== undefined) {
-        this.completedToday = response.today_count
-        this.currentDate = response.today_date || this.currentDate
-        console.log("[Pomodoro] Updated count to:", this.completedToday)
-        
-        // Update tags dropdown with any new tags from the database
-        if (response.available_tags) {
-          this.updateTagsDropdown(response.available_tags)
-        }
-        
-        // Update tag statistics chart
-        if (response.tag_statistics) {
-          this.tagStatisticsValue = response.tag_statistics
-          this.updateTagStatsDisplay()
-        }
-        
-        // Add the new pomodoro to the today's list
-        if (response.pomodoro) {
-          console.log("[Pomodoro] Adding to today's list:", response.pomodoro)
-          this.addPomodoroToTodayList(response.pomodoro)
-        } else {
-          console.log("[Pomodoro] WARNING: No pomodoro in response!", response)
-        }
+        this.applySavedPomodoro(response)
+        this.broadcast({ type: "pomodoro_saved", response })
       } else {
+        // The save is queued (or failed); the replay's response corrects the count
         this.completedToday++
         console.log("[Pomodoro] No server response, incrementing locally to:", this.completedToday)
       }
@@ -848,41 +1125,41 @@ export default class extends Controller {
       this.updateCount()
       console.log("[Pomodoro] Count updated")
 
+      // The timer may have moved on while the save was in flight (e.g. stopped
+      // from another tab); the pomodoro is saved, but there's no break to start
+      if (!this.engine.can("break_running")) {
+        console.log("[Pomodoro] Timer is", this.engine.state, "after saving, not starting a break")
+        return
+      }
+
+      // The break's end is recorded on this pomodoro (for the "Break over" push)
+      this.breakPomodoroId = response?.pomodoro?.id || null
+
       // Determine break type and duration
-      const { duration, durationMinutes } = this.determineBreak()
-      console.log("[Pomodoro] Break determined:", { duration, durationMinutes })
+      const { isLongBreak, duration, durationMinutes } = this.determineBreak()
+      console.log("[Pomodoro] Break determined:", { isLongBreak, duration, durationMinutes })
 
       // Show notification
       this.showNotification(
         "Pomodoro complete",
-        `${durationMinutes} minute break. Use toggles to adjust.`
+        `${durationMinutes} minute ${isLongBreak ? "long break" : "break"}. Use toggles to adjust.`,
+        this.constructor.BREAK_STARTED_ACTIONS
       )
 
       // Start break automatically
       console.log("[Pomodoro] Starting break...")
-      this.state = "break_running"
-      this.secondsRemaining = duration
-      this.currentBreakDuration = duration // Store for timer ring progress
-      this.breakStartedAt = Date.now() // Track when break started for duration changes
-      this.selectedBreakMinutes = 5 // Default selection
-      this.updateBreakToggles()
-      this.updateUI()
-      this.startTimer()
-      console.log("[Pomodoro] Break started, state:", this.state)
+      this.startBreak(completedAt.getTime(), duration)
+      console.log("[Pomodoro] Break started, state:", this.engine.state)
       
       // Show "Where was I?" modal after break starts
       this.showWhereWasI()
     } catch (error) {
       console.error("[Pomodoro] Error in completePomodoro:", error)
-      // Still try to start break even if there was an error
-      this.state = "break_running"
-      this.secondsRemaining = 5 * 60 // Default to 5 min break
-      this.currentBreakDuration = 5 * 60
-      this.breakStartedAt = Date.now()
-      this.selectedBreakMinutes = 5
-      this.updateBreakToggles()
-      this.updateUI()
-      this.startTimer()
+      // Still try to start break even if there was an error, unless the timer
+      // can't take one from where it is now
+      if (!this.engine.can("break_running")) return
+      
+      this.startBreak(completedAt.getTime(), this.engine.shortBreakDuration)
       
       // Still show "Where was I?" modal even on error
       this.showWhereWasI()
@@ -890,16 +1167,56 @@ export default class extends Controller {
   }
 
   /**
-   * Determine break duration - always defaults to 5 minutes
+   * Update count, tags, stats and today's list from a save response
+   * Used both by the tab that saved and by tabs mirroring it
+   */
+  applySavedPomodoro(response) {
+    this.completedToday = response.today_count
+    this.currentDate = response.today_date || this.currentDate
+    console.log("[Pomodoro] Updated count to:", this.completedToday)
+    
+    // Update tags dropdown with any new tags from the database
+    if (response.available_tags) {
+      this.updateTagsDropdown(response.available_tags)
+    }
+    
+    // Update tag statistics chart
+    if (response.tag_statistics) {
+      this.tagStatisticsValue = response.tag_statistics
+      this.updateTagStatsDisplay()
+    }
+    
+    // Add the new pomodoro to the today's list
+    if (response.pomodoro) {
+      console.log("[Pomodoro] Adding to today's list:", response.pomodoro)
+      this.addPomodoroToTodayList(response.pomodoro)
+    } else {
+      console.log("[Pomodoro] WARNING: No pomodoro in response!", response)
+    }
+  }
+
+  /**
+   * Enter the break state, timed from the given start timestamp (ms)
+   * Ticks immediately so an already-expired break completes straight away
+   */
+  startBreak(startedAt, duration) {
+    this.engine.startBreak(startedAt, duration)
+    this.persistTimerState()
+    this.syncBreakEnd()
+    this.updateBreakToggles()
+    this.updateUI()
+    this.engine.tick()
+  }
+
+  /**
+   * Determine break duration from today's completed count
+   * - After every Nth pomodoro: the next long break in the cycle
+   *   (e.g. 3rd → 30m, 6th → 60m, 9th → 30m, 12th → 30m, ...)
+   * - Otherwise: the short break
    * User can adjust via toggle buttons during break
    */
   determineBreak() {
-    const duration = this.constructor.SHORT_BREAK_DURATION // Always 5 min default
-    return {
-      isLongBreak: false,
-      duration,
-      durationMinutes: duration / 60
-    }
+    return this.engine.determineBreak(this.completedToday)
   }
 
   /**
@@ -909,19 +1226,20 @@ export default class extends Controller {
    * - Resets to ready state
    */
   completeBreak() {
+    this.engine.clearPhaseEnd()
+    this.clearTimerState()
+    this.broadcast({ type: "state", timerState: null })
+
     // Show break ending animation
     this.showBreakEndingAnimation()
 
-    this.showNotification("Break over", "Ready to focus again.")
+    this.showNotification("Break over", "Ready to focus again.", this.constructor.BREAK_OVER_ACTIONS)
 
     // Reset to ready state after a brief delay for animation
+    // (unless another tab started a new session in the meantime)
     setTimeout(() => {
-      this.state = "ready"
-      this.secondsRemaining = this.constructor.POMODORO_DURATION
-      this.pomodoroStartedAt = null
-      this.breakStartedAt = null
-      this.selectedBreakMinutes = 5
-      this.updateUI()
+      if (this.engine.state !== "break_running" || this.engine.phaseEndsAt) return
+      this.resetToReady()
     }, 1500) // 1.5 second delay for animation
   }
 
@@ -930,24 +1248,25 @@ export default class extends Controller {
    * Preserves elapsed time when switching durations
    */
   setBreakDuration(event) {
-    if (this.state !== "break_running") return
-    
-    const newDurationMinutes = parseInt(event.currentTarget.dataset.duration, 10)
-    const newDurationSeconds = newDurationMinutes * 60
+    this.changeBreakDuration(parseInt(event.currentTarget.dataset.duration, 10))
+  }
+
+  /**
+   * Change the running break to a new length in minutes
+   */
+  changeBreakDuration(newDurationMinutes) {
+    if (this.engine.state !== "break_running") return
     
-    // Calculate elapsed time since break started
-    const elapsedMs = Date.now() - this.breakStartedAt
-    const elapsedSeconds = Math.floor(elapsedMs / 1000)
+    const previousMinutes = this.engine.selectedBreakMinutes
     
-    // Calculate new remaining time (new duration minus elapsed)
-    const newRemaining = Math.max(0, newDurationSeconds - elapsedSeconds)
+    // Keep the original start; the new end is simply start + new duration
+    this.engine.setBreakDuration(newDurationMinutes)
+    const newRemaining = this.engine.secondsRemaining
     
-    console.log(`[Pomodoro] Changing break from ${this.selectedBreakMinutes}m to ${newDurationMinutes}m, elapsed: ${elapsedSeconds}s, new remaining: ${newRemaining}s`)
+    console.log(`[Pomodoro] Changing break from ${previousMinutes}m to ${newDurationMinutes}m, new remaining: ${newRemaining}s`)
     
-    // Update state
-    this.selectedBreakMinutes = newDurationMinutes
-    this.currentBreakDuration = newDurationSeconds
-    this.secondsRemaining = newRemaining
+    this.persistTimerState()
+    this.syncBreakEnd()
     
     // Update UI
     this.updateBreakToggles()
@@ -956,7 +1275,7 @@ export default class extends Controller {
     
     // If new remaining time is 0 or less, complete the break
     if (newRemaining <= 0) {
-      this.stopTimer()
+      this.engine.stopTicking()
       this.completeBreak()
     }
   }
@@ -965,28 +1284,25 @@ export default class extends Controller {
    * Update the visual state of break toggle buttons
    */
   updateBreakToggles() {
-    const minutes = this.selectedBreakMinutes || 5
+    const minutes = this.engine.selectedBreakMinutes || this.engine.shortBreakDuration / 60
     
-    if (this.hasBreakToggle5Target) {
-      this.breakToggle5Target.classList.toggle("active", minutes === 5)
-    }
-    if (this.hasBreakToggle30Target) {
-      this.breakToggle30Target.classList.toggle("active", minutes === 30)
-    }
-    if (this.hasBreakToggle60Target) {
-      this.breakToggle60Target.classList.toggle("active", minutes === 60)
-    }
+    this.breakToggleTargets.forEach(toggle => {
+      toggle.classList.toggle("active", parseInt(toggle.dataset.duration, 10) === minutes)
+    })
   }
 
   /**
    * End the current break early (user clicked "End Break" button)
    */
   endBreakEarly() {
-    if (this.state !== "break_running") return
+    if (this.engine.state !== "break_running") return
     
     console.log("[Pomodoro] User ended break early")
-    this.stopTimer()
+    this.engine.stopTicking()
     this.completeBreak()
+    
+    // No "Break over" push for a break that's already over
+    this.syncBreakEnd()
   }
 
   /**
@@ -1006,913 +1322,3293 @@ export default class extends Controller {
 
   /**
    * Save completed Pomodoro to server
-   * Returns the response data or null on error
+   * Returns the response data, or null if the save is queued or failed
    */
   async savePomodoro(completedAt) {
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    // Complete the in-progress pomodoro on the server if there is one
+    const sessionId = this.serverSessionId
+    this.serverSessionId = null
     
     const pomodoroData = {
       pomodoro: {
-        started_at: this.pomodoroStartedAt?.toISOString(),
-        completed_at: completedAt.toISOString(),
-        description: this.descriptionTarget.value || null,
-        tags: this.getSelectedTag(),
-        duration_minutes: 25
+        ...this.pomodoroPayload(this.engine.summary(completedAt)),
+        completed_at: completedAt.toISOString()
       }
     }
     
     console.log("[Pomodoro] Saving with data:", pomodoroData)
 
-    try {
-      const response = await fetch("/pomodoros", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-CSRF-Token": csrfToken,
-          "Accept": "application/json"
-        },
-        body: JSON.stringify(pomodoroData)
-      })
-
-      if (response.ok) {
-        const data = await response.json()
-        console.log("[Pomodoro] Save successful:", data)
-        return data
-      } else {
-        const errorText = await response.text()
-        console.error("[Pomodoro] Failed to save:", response.status, errorText)
-        return null
-      }
-    } catch (error) {
-      console.error("[Pomodoro] Error saving:", error)
-      return null
-    }
+    // If the in-progress session is gone, the pomodoro is created outright
+    const data = await this.deliverSave({
+      kind: "complete",
+      url: sessionId ? `/pomodoros/${sessionId}/complete` : "/pomodoros",
+      method: sessionId ? "PATCH" : "POST",
+      fallbackUrl: sessionId ? "/pomodoros" : null,
+      body: JSON.stringify(pomodoroData)
+    })
+    
+    if (data) console.log("[Pomodoro] Save successful:", data)
+    return data
   }
 
   /**
-   * Show browser notification
-   * Gracefully degrades if permission denied or unavailable
+   * Attributes shared by completed and abandoned pomodoros
+   * @param session The engine's summary() of the focus session
    */
-  showNotification(title, body) {
-    if ("Notification" in window && Notification.permission === "granted") {
-      new Notification(title, { body })
+  pomodoroPayload(session) {
+    return {
+      started_at: session.startedAt?.toISOString(),
+      description: this.descriptionTarget.value || null,
+      tags: this.getSelectedTags(),
+      duration_minutes: session.focusedMinutes,
+      planned_minutes: session.plannedMinutes,
+      paused_seconds: session.pausedSeconds,
+      internal_interruptions: session.internalInterruptions,
+      external_interruptions: session.externalInterruptions
     }
   }
 
   /**
-   * Update the timer display (MM:SS format)
+   * Save an abandoned pomodoro to the server
+   * Returns the response data, or null if the save is queued or failed
    */
-  updateDisplay() {
-    const minutes = Math.floor(this.secondsRemaining / 60)
-    const seconds = this.secondsRemaining % 60
-    this.timerTarget.textContent =
-      `${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`
+  async saveAbandonedPomodoro({ id, ...pomodoro }) {
+    console.log("[Pomodoro] Saving abandoned pomodoro:", pomodoro)
+
+    // Cancel the in-progress pomodoro on the server if there is one
+    const data = await this.deliverSave({
+      kind: "abandon",
+      url: id ? `/pomodoros/${id}/cancel` : "/pomodoros/abandon",
+      method: id ? "PATCH" : "POST",
+      fallbackUrl: id ? "/pomodoros/abandon" : null,
+      body: JSON.stringify({ pomodoro })
+    })
+    
+    // Completion rates and interruption counts changed
+    if (data?.tag_statistics) {
+      this.tagStatisticsValue = data.tag_statistics
+      this.updateTagStatsDisplay()
+    }
+    return data
   }
 
   /**
-   * Update count display
+   * Show browser notification
+   * Goes through the service worker when there is one, so action buttons work;
+   * otherwise a plain page notification without actions
+   * Gracefully degrades if permission denied or unavailable
+   * Only the leader tab notifies, so multiple open tabs don't duplicate it
    */
-  updateCount() {
-    console.log("[Pomodoro] updateCount called, completedToday:", this.completedToday)
-    if (this.hasCountTarget) {
-      this.countTarget.textContent = this.completedToday
-      console.log("[Pomodoro] Count display updated")
-    } else {
-      console.log("[Pomodoro] No countTarget found")
+  async showNotification(title, body, actions = []) {
+    if (!this.isLeader) return
+    if (!("Notification" in window) || Notification.permission !== "granted") return
+    
+    const options = { body, tag: "pomodoro-timer", actions, data: { path: "/" } }
+    
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration()
+      if (registration) {
+        await registration.showNotification(title, options)
+        return
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Service worker notification failed:", error)
     }
-    this.updateTodayProgress()
+    
+    new Notification(title, { body, tag: options.tag })
   }
 
+  // ===========================================
+  // Sounds
+  // ===========================================
+
   /**
-   * Update today's progress bar segments
+   * Enable audio on the first click or key press
    */
-  updateTodayProgress() {
-    console.log("[Pomodoro] updateTodayProgress called, hasProgressBarTarget:", this.hasProgressBarTarget)
-    if (!this.hasProgressBarTarget) return
+  async unlockAudio() {
+    if (!(await this.sounds.unlock())) return
     
-    const segments = this.progressBarTarget.querySelectorAll(".today-count-segment")
-    segments.forEach((segment, index) => {
-      if (index < this.completedToday) {
-        segment.classList.add("filled")
-      } else {
-        segment.classList.remove("filled")
-      }
-    })
+    document.removeEventListener("pointerdown", this.unlockAudio)
+    document.removeEventListener("keydown", this.unlockAudio)
+    this.updateSounds()
   }
 
   /**
-   * Update visual state classes on container
-   * Provides clear visual feedback for different timer states
+   * Start or stop the focus sounds to match the state
+   * Ticking plays while the countdown runs; noise also carries on in overtime
    */
-  updateVisualState() {
-    if (!this.hasContainerTarget) return
-
-    // Set data-state attribute for CSS-driven visual changes
-    switch (this.state) {
-      case "pomodoro_running":
-        this.containerTarget.dataset.state = "focus"
-        break
-      case "break_running":
-        this.containerTarget.dataset.state = "break"
-        break
-      default:
-        this.containerTarget.dataset.state = "ready"
+  updateSounds() {
+    if (!this.sounds?.unlocked || !this.isLeader) {
+      this.sounds?.stopAll()
+      return
     }
     
-    // Update timer ring progress
-    this.updateTimerRing()
+    if (this.engine.state === "pomodoro_running") {
+      this.sounds.startTicking()
+    } else {
+      this.sounds.stopTicking()
+    }
+    
+    if (this.engine.state === "pomodoro_running" || this.engine.state === "overtime") {
+      this.sounds.startNoise()
+    } else {
+      this.sounds.stopNoise()
+    }
   }
-  
+
   /**
-   * Update the circular timer ring progress
+   * Play the pre-end warning once per phase when the countdown reaches it
    */
-  updateTimerRing() {
-    if (!this.hasTimerRingTarget) return
-    
-    const circumference = 2 * Math.PI * 90 // radius = 90
-    let progress = 0
+  checkWarning() {
+    const warningSeconds = this.sounds.warningSeconds
+    if (!warningSeconds || this.engine.secondsRemaining <= 0 || this.engine.secondsRemaining > warningSeconds) return
+    if (this.warnedFor === this.engine.phaseEndsAt) return
     
-    if (this.state === "pomodoro_running") {
-      progress = 1 - (this.secondsRemaining / this.constructor.POMODORO_DURATION)
-    } else if (this.state === "break_running") {
-      const breakDuration = this.currentBreakDuration || 5 * 60
-      progress = 1 - (this.secondsRemaining / breakDuration)
-    }
-    
-    const offset = circumference * (1 - progress)
-    this.timerRingTarget.style.strokeDashoffset = offset
+    this.warnedFor = this.engine.phaseEndsAt
+    this.playCue("warning")
   }
 
   /**
-   * Update button visibility based on state
-   * - Ready: Show start button, hide stop button
-   * - Pomodoro running: Hide start button, show stop button
-   * - Break running: Hide both buttons
+   * Play a chime or the warning in the leader tab
+   * Skipped for a phase that ended long ago (e.g. while the laptop slept)
    */
-  updateButtons() {
-    const isPomodoroRunning = this.state === "pomodoro_running"
-    const isBreakRunning = this.state === "break_running"
-
-    // Start button: visible only in ready state
-    if (this.hasStartButtonTarget) {
-      this.startButtonTarget.classList.toggle("hidden", isPomodoroRunning || isBreakRunning)
-      this.startButtonTarget.disabled = isPomodoroRunning || isBreakRunning
+  playCue(name, endedAt = new Date()) {
+    if (!this.isLeader || Date.now() - endedAt > 60 * 1000) return
+    
+    if (name === "warning") {
+      this.sounds.playWarning()
+    } else {
+      this.sounds.playChime(name)
     }
+  }
 
-    // Stop button: visible only during pomodoro
-    if (this.hasStopButtonTarget) {
-      this.stopButtonTarget.classList.toggle("hidden", !isPomodoroRunning)
-    }
+  // ===========================================
+  // Notification Actions
+  // ===========================================
 
-    // Break controls (end break button + duration toggles): visible only during break
-    if (this.hasBreakControlsTarget) {
-      this.breakControlsTarget.classList.toggle("hidden", !isBreakRunning)
+  /**
+   * Apply a notification action button click
+   * @param action "skip_break" | "extend_break" | "end_break" | "start_pomodoro"
+   */
+  handleNotificationAction(action) {
+    console.log("[Pomodoro] Notification action:", action, "in state", this.engine.state)
+    
+    switch (action) {
+      case "skip_break":
+        this.skipBreak()
+        break
+      case "extend_break":
+        this.extendBreak(this.constructor.BREAK_EXTENSION)
+        break
+      case "end_break":
+        this.endBreakEarly()
+        break
+      case "start_pomodoro":
+        // The break may still be on (e.g. the click came from a late push)
+        if (this.engine.state === "break_running") {
+          this.skipBreak()
+        } else {
+          this.start()
+        }
+        break
     }
+  }
 
-    // Update form inputs
-    const isRunning = this.state !== "ready"
-    this.descriptionTarget.disabled = isRunning
-    if (this.hasTagInputTarget) {
-      this.tagInputTarget.disabled = isRunning
+  /**
+   * Apply notification actions clicked while no tab was open
+   * Old ones are dropped; the timer has moved on since
+   */
+  async applyQueuedActions() {
+    let actions = []
+    try {
+      actions = await takeQueuedActions()
+    } catch (error) {
+      return // No IndexedDB: nothing can have been queued
     }
+    
+    actions
+      .filter(({ at }) => Date.now() - at < this.constructor.QUEUED_ACTION_MAX_AGE)
+      .forEach(({ action }) => this.handleNotificationAction(action))
   }
 
   /**
-   * Get the selected tag from the combobox input
+   * End the break right away and start the next pomodoro
    */
-  getSelectedTag() {
-    if (this.hasTagInputTarget && this.tagInputTarget.value.trim()) {
-      return this.tagInputTarget.value.trim()
-    }
-    return null
+  skipBreak() {
+    if (this.engine.state !== "break_running") return
+    
+    console.log("[Pomodoro] Skipping the rest of the break")
+    
+    // No "Break over" push for a break that was skipped
+    this.engine.clearPhaseEnd()
+    this.syncBreakEnd()
+    
+    this.resetToReady()
+    this.start()
+  }
+
+  /**
+   * Lengthen the current break
+   */
+  extendBreak(seconds) {
+    if (this.engine.state !== "break_running" || !this.engine.phaseEndsAt) return
+    
+    console.log(`[Pomodoro] Extending break by ${seconds / 60}m`)
+    
+    this.engine.extendBreak(seconds)
+    this.persistTimerState()
+    this.syncBreakEnd()
+    this.updateBreakToggles()
+    this.updateUI()
   }
 
   // ===========================================
-  // Tag Combobox Methods
+  // Web Push
   // ===========================================
 
   /**
-   * Open the tag dropdown when input is focused
-   * If a tag is already selected, clear it so user can start fresh
+   * Subscribe this device to Web Push and register it with the server
+   * Does nothing for guests, or until VAPID keys are configured on the server
    */
-  openTagDropdown() {
-    if (!this.hasTagDropdownTarget) return
+  async subscribeToPush() {
+    if (!this.userSignedInValue || !this.vapidPublicKeyValue) return
+    if (!("serviceWorker" in navigator) || !("PushManager" in window)) return
     
-    // If there's already a value, clear it so user can start fresh
-    if (this.hasTagInputTarget && this.tagInputTarget.value.trim()) {
-      this.tagInputTarget.value = ""
+    try {
+      const registration = await navigator.serviceWorker.ready
+      let subscription = await registration.pushManager.getSubscription()
+      let response = subscription && await this.registerPushSubscription(subscription)
+      
+      // No subscription yet, or it's registered to whoever used this browser before
+      if (!response || response.status === 403) {
+        await subscription?.unsubscribe()
+        subscription = await registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: this.decodeBase64Url(this.vapidPublicKeyValue)
+        })
+        response = await this.registerPushSubscription(subscription)
+      }
+      
+      if (!response.ok) {
+        console.error("[Pomodoro] Failed to register push subscription:", response.status)
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error subscribing to push:", error)
     }
-    
-    this.tagDropdownTarget.classList.remove("hidden")
-    this.filterTags()
   }
 
-  /**
-   * Close the tag dropdown
-   */
-  closeTagDropdown() {
-    if (!this.hasTagDropdownTarget) return
-    this.tagDropdownTarget.classList.add("hidden")
+  registerPushSubscription(subscription) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    return fetch("/push_subscription", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": csrfToken,
+        "Accept": "application/json"
+      },
+      body: JSON.stringify({ subscription: subscription.toJSON() })
+    })
   }
 
   /**
-   * Handle clicks outside the combobox to close dropdown
+   * Tell the server when the current break ends (or that it ended early),
+   * so it pushes "Break over" at the right time
    */
-  handleClickOutside(event) {
-    if (!this.hasComboboxTarget) return
+  async syncBreakEnd() {
+    if (!this.breakPomodoroId) return
     
-    if (!this.comboboxTarget.contains(event.target)) {
-      this.closeTagDropdown()
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const breakEndsAt = this.engine.state === "break_running" && this.engine.phaseEndsAt
+      ? new Date(this.engine.phaseEndsAt).toISOString()
+      : null
+    
+    try {
+      await fetch(`/pomodoros/${this.breakPomodoroId}/update_break`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({ break_ends_at: breakEndsAt })
+      })
+    } catch (error) {
+      console.error("[Pomodoro] Error syncing break end:", error)
     }
   }
 
   /**
-   * Filter tag options based on input value
+   * Decode a base64url string (the VAPID public key) to bytes
    */
-  filterTags() {
-    if (!this.hasTagDropdownTarget || !this.hasTagInputTarget) return
-
-    const searchValue = this.tagInputTarget.value.toLowerCase().trim()
-    const options = this.tagDropdownTarget.querySelectorAll(".combobox-option")
-    let hasVisibleOptions = false
-    let hasExactMatch = false
+  decodeBase64Url(value) {
+    const base64 = value.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(value.length / 4) * 4, "=")
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0))
+  }
 
-    options.forEach(option => {
-      const tagValue = option.dataset.tag.toLowerCase()
-      const matches = tagValue.includes(searchValue)
-      option.classList.toggle("hidden", !matches)
-      
-      if (matches) hasVisibleOptions = true
-      if (tagValue === searchValue) hasExactMatch = true
-    })
+  // ===========================================
+  // Offline Save Queue
+  // ===========================================
 
-    // Show "Add new" option if there's text and no exact match
-    if (this.hasAddNewOptionTarget && this.hasAddNewTextTarget) {
-      if (searchValue && !hasExactMatch) {
-        this.addNewOptionTarget.classList.remove("hidden")
-        this.addNewTextTarget.textContent = this.tagInputTarget.value.trim()
-      } else {
-        this.addNewOptionTarget.classList.add("hidden")
+  /**
+   * Queue a save, then try to send it right away
+   * The queue entry is written first, so a save interrupted by a reload or
+   * a dropped connection is replayed later; its idempotency key keeps the
+   * replay from logging the pomodoro twice
+   * Returns the response data, or null if the save is pending or failed
+   */
+  async deliverSave(request) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const entry = { key: crypto.randomUUID(), csrfToken, queuedAt: Date.now(), ...request }
+    
+    let queued = false
+    try {
+      await queueRequest(entry)
+      queued = true
+    } catch (error) {
+      console.error("[Pomodoro] Save queue unavailable, sending directly:", error)
+    }
+    
+    const result = await sendRequest(entry, csrfToken)
+    
+    if (result.status === "retry") {
+      if (queued) {
+        console.log("[Pomodoro] Save queued until the server is reachable")
+        requestBackgroundSync()
       }
+    } else if (queued) {
+      await removeRequest(entry.key)
     }
+    
+    this.updateSyncIndicator()
+    return result.status === "sent" ? result.data : null
   }
 
   /**
-   * Handle keyboard navigation in tag combobox
+   * Replay queued saves and apply their responses
    */
-  handleTagKeydown(event) {
-    if (event.key === "Escape") {
-      this.closeTagDropdown()
-      this.tagInputTarget.blur()
-    } else if (event.key === "Enter") {
-      event.preventDefault()
-      const tagValue = this.tagInputTarget.value.trim()
+  async flushPendingSaves() {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    
+    try {
+      const delivered = await replayQueue(csrfToken)
       
-      if (tagValue) {
-        // Check if this tag already exists in the dropdown
-        const existingOptions = this.tagDropdownTarget.querySelectorAll(".combobox-option")
-        const existingTags = Array.from(existingOptions).map(opt => opt.dataset.tag.toLowerCase())
+      delivered.forEach(({ entry, data }) => {
+        console.log("[Pomodoro] Replayed queued save:", entry.kind, entry.key)
         
-        if (!existingTags.includes(tagValue.toLowerCase())) {
-          // It's a new tag - save it to the database
-          this.saveTagToDatabase(tagValue)
+        if (entry.kind === "complete" && data.today_count !== undefined) {
+          this.applySavedPomodoro(data)
+          this.updateCount()
+        } else if (data.tag_statistics) {
+          this.tagStatisticsValue = data.tag_statistics
+          this.updateTagStatsDisplay()
         }
-        
-        this.closeTagDropdown()
-      }
+      })
+    } catch (error) {
+      console.error("[Pomodoro] Error replaying queued saves:", error)
+    }
+    
+    this.updateSyncIndicator()
+  }
+
+  /**
+   * Replay queued saves as soon as the connection comes back
+   */
+  handleOnline() {
+    console.log("[Pomodoro] Back online, replaying queued saves")
+    this.flushPendingSaves()
+  }
+
+  /**
+   * Handle a message from the service worker: the save queue was replayed
+   * in the background, or a notification action button was clicked
+   */
+  handleServiceWorkerMessage(event) {
+    if (event.data?.type === "pomodoro_saves_replayed") {
+      this.updateSyncIndicator()
+    } else if (event.data?.type === "notification_action" && this.isLeader) {
+      this.handleNotificationAction(event.data.action)
     }
   }
 
   /**
-   * Select a tag from the dropdown
-   * If the tag is already selected, clear the input (toggle behavior)
+   * Show how many sessions are waiting to be synced (hidden when none),
+   * and list queued pomodoros in today's list until they're saved
    */
-  selectTag(event) {
-    const tag = event.currentTarget.dataset.tag?.trim()
-    if (!tag || !this.hasTagInputTarget) {
-      this.closeTagDropdown()
-      return
+  async updateSyncIndicator() {
+    let entries = []
+    try {
+      entries = await pendingRequests()
+    } catch (error) {
+      // No IndexedDB (e.g. private browsing): nothing can be pending
     }
     
-    const currentValue = this.tagInputTarget.value.trim()
+    this.renderPendingPomodoros(entries.filter(entry => entry.kind === "complete"))
     
-    // Toggle: if already selected, clear it; otherwise select it
-    if (currentValue.toLowerCase() === tag.toLowerCase()) {
-      this.tagInputTarget.value = ""
-    } else {
-      this.tagInputTarget.value = tag
-    }
+    if (!this.hasSyncIndicatorTarget) return
     
-    this.closeTagDropdown()
+    const count = entries.length
+    this.syncIndicatorTarget.classList.toggle("hidden", count === 0)
+    this.syncIndicatorTarget.textContent = `${count} unsynced`
+    this.syncIndicatorTarget.title = `${count} ${count === 1 ? "session" : "sessions"} waiting to be saved. They'll sync when you're back online.`
   }
 
   /**
-   * Update the tags dropdown with a new list of tags from the server
-   * This ensures the dropdown stays in sync with the database
+   * Keep a placeholder in today's list for each queued pomodoro
+   * Placeholders are keyed by the queue entry and dropped once it's delivered
+   * (the saved pomodoro then takes their place)
    */
-  updateTagsDropdown(tags) {
-    if (!this.hasTagDropdownTarget || !this.hasAddNewOptionTarget) return
+  renderPendingPomodoros(entries) {
+    if (!this.hasTodayPomodorosListTarget) return
     
-    // Get current tags in the dropdown
-    const existingOptions = this.tagDropdownTarget.querySelectorAll(".combobox-option")
-    const existingTags = new Set()
-    existingOptions.forEach(opt => existingTags.add(opt.dataset.tag))
+    const listEl = this.todayPomodorosListTarget
+    const keys = entries.map(entry => entry.key)
     
-    // Add any new tags that aren't already in the dropdown
-    tags.forEach(tag => {
-      if (!existingTags.has(tag)) {
-        const newOption = document.createElement("div")
-        newOption.className = "combobox-option"
-        newOption.dataset.tag = tag
-        newOption.dataset.action = "click->pomodoro-timer#selectTag"
-        newOption.textContent = tag
-        
-        // Insert before the "Add new" option
-        this.tagDropdownTarget.insertBefore(newOption, this.addNewOptionTarget)
-      }
+    listEl.querySelectorAll(".pomodoro-item[data-pending-key]").forEach(item => {
+      if (!keys.includes(item.dataset.pendingKey)) item.remove()
+    })
+    
+    entries.forEach(entry => {
+      if (listEl.querySelector(`.pomodoro-item[data-pending-key="${entry.key}"]`)) return
+      
+      const { pomodoro } = JSON.parse(entry.body)
+      if (new Date(pomodoro.completed_at).toDateString() !== new Date().toDateString()) return
+      
+      const startedAt = pomodoro.started_at ? new Date(pomodoro.started_at) : null
+      const time = startedAt ? `${String(startedAt.getHours()).padStart(2, "0")}:${String(startedAt.getMinutes()).padStart(2, "0")}` : ""
+      
+      listEl.querySelector(".empty-message")?.remove()
+      listEl.insertAdjacentHTML("afterbegin", `
+        <div class="pomodoro-item pomodoro-item-pending" data-pending-key="${entry.key}" title="Waiting to sync">
+          <span class="pomodoro-time">${this.escapeHtml(time)}</span>
+          <span class="pomodoro-title">${this.escapeHtml(pomodoro.description || "Untitled")}</span>
+          <span class="pomodoro-pending">unsynced</span>
+        </div>
+      `)
     })
   }
 
+  // ===========================================
+  // Timer State Persistence
+  // ===========================================
+
   /**
-   * Add a new tag to the dropdown and select it
-   * Called when clicking the "Add [tagname]" option
+   * Save the running phase to localStorage
+   * Clears the saved state when the timer is back to ready
    */
-  addNewTag(event) {
-    event.preventDefault()
-    event.stopPropagation()
-    
-    if (!this.hasTagInputTarget || !this.hasTagDropdownTarget) return
+  persistTimerState() {
+    if (this.engine.state === "ready") {
+      this.clearTimerState()
+      this.broadcast({ type: "state", timerState: null })
+      return
+    }
     
-    const newTagName = this.tagInputTarget.value.trim()
-    if (!newTagName) return
+    const timerState = {
+      ...this.engine.snapshot(),
+      breakPomodoroId: this.breakPomodoroId,
+      serverSessionId: this.serverSessionId,
+      description: this.descriptionTarget.value || "",
+      tags: this.getSelectedTags(),
+      idleSince: this.idleSince,
+      idleEndedAt: this.idleEndedAt
+    }
     
-    // Save tag to database immediately
-    this.saveTagToDatabase(newTagName)
+    try {
+      localStorage.setItem(this.constructor.TIMER_STATE_KEY, JSON.stringify(timerState))
+    } catch (error) {
+      console.error("[Pomodoro] Failed to persist timer state:", error)
+    }
     
-    // Close dropdown
-    this.closeTagDropdown()
+    this.broadcast({ type: "state", timerState })
   }
 
   /**
-   * Save a new tag to the database
-   * Creates the tag in the database and adds it to the dropdown
+   * Remove the saved timer state
    */
-  async saveTagToDatabase(tagName) {
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+  clearTimerState() {
+    localStorage.removeItem(this.constructor.TIMER_STATE_KEY)
+  }
 
+  /**
+   * Read the saved timer state, or null if missing or unreadable
+   */
+  loadTimerState() {
     try {
-      const response = await fetch("/tags", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-CSRF-Token": csrfToken,
-          "Accept": "application/json"
-        },
-        body: JSON.stringify({ name: tagName })
-      })
-
-      const data = await response.json()
-
-      if (response.ok && data.success) {
-        // Add the tag to the dropdown if it's new
-        if (data.is_new) {
-          this.addTagToDropdown(data.tag)
-        }
-        
-        // Select the tag in the input
-        if (this.hasTagInputTarget) {
-          this.tagInputTarget.value = data.tag
-        }
-      } else {
-        console.error("Failed to save tag:", data.errors || data.error)
-      }
+      return JSON.parse(localStorage.getItem(this.constructor.TIMER_STATE_KEY))
     } catch (error) {
-      console.error("Error saving tag:", error)
+      console.error("[Pomodoro] Discarding unreadable timer state:", error)
+      this.clearTimerState()
+      return null
     }
   }
 
   /**
-   * Add a tag option to the dropdown
+   * Restore a pomodoro or break saved before a reload
+   * If the phase ended while the page was closed, the first tick completes it
+   * as of its scheduled end time (and logs the pomodoro)
    */
-  addTagToDropdown(tagName) {
-    if (!this.hasTagDropdownTarget) return
+  restoreTimerState() {
+    const saved = this.loadTimerState()
+    if (!saved) return
     
-    // Check if tag already exists in dropdown
-    const existingOptions = this.tagDropdownTarget.querySelectorAll(".combobox-option")
-    const existingTags = Array.from(existingOptions).map(opt => opt.dataset.tag)
-    
-    if (existingTags.includes(tagName)) return
+    console.log("[Pomodoro] Restoring timer state:", saved)
     
-    // Create new option element
-    const newOption = document.createElement("div")
-    newOption.className = "combobox-option"
-    newOption.dataset.tag = tagName
-    newOption.dataset.action = "click->pomodoro-timer#selectTag"
-    newOption.textContent = tagName
-    
-    // Insert in alphabetical order before the "Add new" option
-    const addNewOption = this.hasAddNewOptionTarget ? this.addNewOptionTarget : null
-    let inserted = false
-    
-    for (const option of existingOptions) {
-      if (option.dataset.tag.toLowerCase() > tagName.toLowerCase()) {
-        this.tagDropdownTarget.insertBefore(newOption, option)
-        inserted = true
-        break
-      }
-    }
-    
-    if (!inserted) {
-      if (addNewOption) {
-        this.tagDropdownTarget.insertBefore(newOption, addNewOption)
-      } else {
-        this.tagDropdownTarget.appendChild(newOption)
-      }
+    if (!this.applyTimerState(saved)) {
+      this.clearTimerState()
     }
   }
 
   /**
-   * Update the active title display
-   * Shows the pomodoro description above the timer when running
+   * Adopt a running phase saved by this tab or mirrored from another one
+   * Returns false (and changes nothing) if the state isn't a running phase
    */
-  updateActiveTitle() {
-    if (!this.hasActiveTitleTarget) return
-
-    const isPomodoroRunning = this.state === "pomodoro_running"
-    const description = this.descriptionTarget.value.trim()
-
-    if (isPomodoroRunning && description) {
-      this.activeTitleTarget.textContent = description
-      this.activeTitleTarget.classList.remove("hidden")
+  applyTimerState(saved) {
+    if (!this.engine.restore(saved)) return false
+    
+    if (this.engine.state === "break_running") {
+      this.breakPomodoroId = saved.breakPomodoroId || null
     } else {
-      this.activeTitleTarget.classList.add("hidden")
-      this.activeTitleTarget.textContent = ""
-    }
-  }
-
-  /**
-   * Update all UI elements based on current state
-   */
-  updateUI() {
-    this.updateDisplay()
-    this.updateVisualState()
-    this.updateButtons()
-    this.updateActiveTitle()
-
-    // Update status text - minimal, elegant labels
-    const statusMap = {
-      ready: "Ready",
-      pomodoro_running: "Focus",
-      break_running: "Break"
+      this.serverSessionId = saved.serverSessionId || null
     }
-    if (this.hasStatusTarget) {
-      this.statusTarget.textContent = statusMap[this.state] || ""
+    
+    this.descriptionTarget.value = saved.description || ""
+    // States saved (or broadcast) before pomodoros had several tags carry
+    // "tag", a comma-separated string
+    this.setSelectedTags(saved.tags ?? (saved.tag ? saved.tag.split(",") : []))
+    this.applyIdleState(saved)
+    
+    if (this.engine.state === "paused") {
+      // Frozen at whatever was left when the pause began
+      this.updateUI()
+      return true
     }
+    
+    this.updateBreakToggles()
+    this.updateUI()
+    this.engine.startTicking()
+    this.engine.tick()
+    return true
   }
 
   // ===========================================
-  // Tag Statistics Modal & Pie Chart
+  // Server Session Sync
   // ===========================================
 
   /**
-   * Update the tag statistics display (chart and legend)
-   * Called when pomodoros are added or deleted
+   * Create the in-progress pomodoro on the server so other devices can show it
+   * If another device already has one running, this tab joins it instead
    */
-  updateTagStatsDisplay() {
-    const stats = this.tagStatisticsValue || []
-    
-    // Find the modal body
-    const modalBody = this.hasTagStatsModalTarget 
-      ? this.tagStatsModalTarget.querySelector(".modal-body")
-      : null
-    
-    if (!modalBody) return
+  async startServerSession() {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const startedAt = this.engine.pomodoroStartedAt
     
-    if (stats.length === 0) {
-      // Show empty state
-      modalBody.innerHTML = `
-        <div class="empty-stats">
-          <svg class="empty-stats-icon" viewBox="0 0 100 100">
-            <circle cx="50" cy="50" r="40" fill="none" stroke="currentColor" stroke-width="4" opacity="0.2"/>
-            <path d="M50 10 A40 40 0 0 1 90 50" fill="none" stroke="currentColor" stroke-width="4" opacity="0.4"/>
-          </svg>
-          <p>Complete pomodoros with tags to see your time distribution</p>
-        </div>
-      `
-    } else {
-      // Build chart and legend HTML
-      const total = stats.reduce((sum, s) => sum + s.count, 0)
-      const legendHtml = stats.map((stat, index) => `
-        <div class="legend-item">
-          <span class="legend-dot" data-color-index="${index}"></span>
-          <span class="legend-label">${this.escapeHtml(stat.tag)}</span>
-          <span class="legend-value">${Math.round((stat.count / total) * 100)}%</span>
-        </div>
-      `).join("")
+    try {
+      const response = await fetch("/pomodoros/start", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({
+          pomodoro: {
+            started_at: startedAt.toISOString(),
+            ends_at: new Date(this.engine.phaseEndsAt).toISOString(),
+            planned_minutes: this.engine.pomodoroDuration / 60,
+            description: this.descriptionTarget.value || null,
+            tags: this.getSelectedTags()
+          }
+        })
+      })
       
-      modalBody.innerHTML = `
-        <div class="chart-container" data-pomodoro-timer-target="pieChartContainer">
-          <canvas data-pomodoro-timer-target="pieChart" width="280" height="280"></canvas>
-        </div>
-        <div class="legend" data-pomodoro-timer-target="tagStatsLegend">
-          ${legendHtml}
-        </div>
-      `
+      const data = await response.json()
       
-      // Re-render the chart and apply colors
-      this.renderPieChart()
-      this.applyLegendColors()
+      if (response.status === 409 && data.pomodoro) {
+        console.log("[Pomodoro] A pomodoro is already running on another device, joining it")
+        if (this.engine.pomodoroStartedAt === startedAt) {
+          this.adoptServerSession(data.pomodoro)
+        }
+        return
+      }
+      
+      if (!response.ok) {
+        console.error("[Pomodoro] Failed to start server session:", response.status, data)
+        return
+      }
+      
+      if (this.engine.pomodoroStartedAt !== startedAt || !this.isFocusActive()) {
+        // The pomodoro ended (and was saved on its own) before the server answered
+        this.discardServerSession(data.pomodoro.id)
+        return
+      }
+      
+      this.serverSessionId = data.pomodoro.id
+      this.persistTimerState()
+      
+      // Catch up on any pause or interruption made while the request was in flight
+      this.syncServerSession()
+    } catch (error) {
+      console.error("[Pomodoro] Error starting server session:", error)
     }
   }
 
   /**
-   * Open the tag statistics modal and render the pie chart
+   * Push the current pause and interruption state to the server
    */
-  openTagStats() {
-    if (!this.hasTagStatsModalTarget) return
+  async syncServerSession() {
+    if (!this.serverSessionId) return
     
-    this.tagStatsModalTarget.classList.remove("hidden")
-    this.renderPieChart()
-    this.applyLegendColors()
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
     
-    // Prevent body scroll when modal is open
-    document.body.style.overflow = "hidden"
+    try {
+      const response = await fetch(`/pomodoros/${this.serverSessionId}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({
+          pomodoro: {
+            ends_at: new Date(this.engine.phaseEndsAt).toISOString(),
+            paused_at: this.engine.pausedAt ? new Date(this.engine.pausedAt).toISOString() : null,
+            paused_seconds: Math.round(this.engine.pausedMs / 1000),
+            internal_interruptions: this.engine.internalInterruptions,
+            external_interruptions: this.engine.externalInterruptions
+          }
+        })
+      })
+      
+      if (!response.ok) {
+        const errorText = await response.text()
+        console.error("[Pomodoro] Failed to sync server session:", response.status, errorText)
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error syncing server session:", error)
+    }
   }
 
   /**
-   * Close the tag statistics modal
+   * Remove an in-progress pomodoro this tab no longer tracks
    */
-  closeTagStats() {
-    if (!this.hasTagStatsModalTarget) return
+  async discardServerSession(id) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
     
-    this.tagStatsModalTarget.classList.add("hidden")
-    document.body.style.overflow = ""
+    try {
+      await fetch(`/pomodoros/${id}`, {
+        method: "DELETE",
+        headers: {
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        }
+      })
+    } catch (error) {
+      console.error("[Pomodoro] Error discarding server session:", error)
+    }
   }
 
   /**
-   * Handle clicks on the modal overlay - close if clicking outside content
+   * Load the pomodoro in progress on any device and show its countdown here
    */
-  handleModalClick(event) {
-    // Close if clicking on the overlay itself (not the modal content)
-    if (event.target === this.tagStatsModalTarget) {
-      this.closeTagStats()
+  async fetchActiveSession() {
+    try {
+      const response = await fetch("/pomodoros/active", {
+        headers: { "Accept": "application/json" }
+      })
+      if (!response.ok) return
+      
+      const data = await response.json()
+      
+      // Only join if nothing was started here in the meantime
+      if (data.pomodoro && this.engine.state === "ready") {
+        console.log("[Pomodoro] Joining pomodoro in progress:", data.pomodoro)
+        this.adoptServerSession(data.pomodoro)
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error fetching active session:", error)
+    }
+  }
+
+  /**
+   * Take over a pomodoro from the server and share it with the other tabs
+   */
+  adoptServerSession(pomodoro) {
+    // Keep description and tags edits made here since the session started
+    const joining = pomodoro.id !== this.serverSessionId
+    
+    const timerState = {
+      state: pomodoro.state === "paused" ? "paused" : "pomodoro_running",
+      pomodoroStartedAt: pomodoro.started_at,
+      pomodoroDuration: (pomodoro.planned_minutes * 60) || this.engine.focusDuration,
+      phaseEndsAt: pomodoro.ends_at ? Date.parse(pomodoro.ends_at) : null,
+      pausedAt: pomodoro.paused_at ? Date.parse(pomodoro.paused_at) : null,
+      pausedMs: (pomodoro.paused_seconds || 0) * 1000,
+      internalInterruptions: pomodoro.internal_interruptions,
+      externalInterruptions: pomodoro.external_interruptions,
+      serverSessionId: pomodoro.id,
+      description: joining ? (pomodoro.description || "") : this.descriptionTarget.value,
+      tags: joining ? (pomodoro.tags || []) : this.getSelectedTags()
+    }
+    
+    if (this.applyTimerState(timerState)) {
+      this.persistTimerState()
     }
   }
 
   // ===========================================
-  // Tag Manager Modal
+  // Live Updates (Action Cable)
   // ===========================================
 
   /**
-   * Open the tag manager modal and load tags
+   * Subscribe to changes made on the user's other devices
+   * Guests don't connect; the server only streams to signed-in users
    */
-  openTagManager() {
-    if (!this.hasTagManagerModalTarget) return
+  setupLiveUpdates() {
+    if (!this.userSignedInValue) return
     
-    this.tagManagerModalTarget.classList.remove("hidden")
-    document.body.style.overflow = "hidden"
-    
-    // Focus the input
-    if (this.hasNewTagInputTarget) {
-      this.newTagInputTarget.value = ""
-      this.newTagInputTarget.focus()
-    }
-    
-    // Load tags
-    this.loadTags()
+    this.liveSubscription = consumer.subscriptions.create("PomodoroChannel", {
+      connected: () => console.log("[Pomodoro] Live updates connected"),
+      received: (data) => this.handleLiveUpdate(data)
+    })
   }
 
   /**
-   * Close the tag manager modal
+   * Stop receiving live updates
    */
-  closeTagManager() {
-    if (!this.hasTagManagerModalTarget) return
-    
-    this.tagManagerModalTarget.classList.add("hidden")
-    document.body.style.overflow = ""
+  teardownLiveUpdates() {
+    this.liveSubscription?.unsubscribe()
+    this.liveSubscription = null
   }
 
   /**
-   * Handle clicks on the tag manager modal overlay
+   * Handle an event pushed by the server
+   * Every tab refreshes its lists; only the leader drives the timer, and
+   * mirrors the result to the other tabs
    */
-  handleTagManagerClick(event) {
-    if (event.target === this.tagManagerModalTarget) {
-      this.closeTagManager()
+  handleLiveUpdate(data) {
+    console.log("[Pomodoro] Live update:", data.type)
+    
+    switch (data.type) {
+      case "pomodoro_created":
+        this.applySavedPomodoro(data)
+        this.updateCount()
+        break
+      case "pomodoro_deleted":
+        this.applyDeletedPomodoro(data)
+        break
+      case "pomodoro_abandoned":
+        this.tagStatisticsValue = data.tag_statistics
+        this.updateTagStatsDisplay()
+        break
+      case "tags_changed":
+        this.applyTagChanges(data.available_tags, data.renamed)
+        // Deleting, renaming or merging a tag changes its pomodoros' stats
+        if (data.tag_statistics) {
+          this.tagStatisticsValue = data.tag_statistics
+          this.updateTagStatsDisplay()
+        }
+        break
+      case "timer_state":
+        if (this.isLeader) this.applyRemoteTimerState(data.pomodoro)
+        break
+      case "timer_ended":
+        if (this.isLeader) this.applyRemoteTimerEnd(data)
+        break
     }
   }
 
   /**
-   * Handle Enter key in new tag input
+   * Bring the tag dropdown (and the tag manager, if open) in line with the server
+   * @param tags [{ name, parent, color, emoji }] in tree order
+   * @param renamed { oldName: newName } for tags renamed or merged into
+   *   another, so the selection, recent descriptions and stats view follow
    */
-  handleNewTagKeydown(event) {
-    if (event.key === "Enter") {
-      event.preventDefault()
-      this.addNewTagFromManager()
+  applyTagChanges(tags, renamed = {}) {
+    Object.entries(renamed).forEach(([from, to]) => this.renameTagLocally(from, to))
+    
+    const names = tags.map(tag => tag.name)
+    this.selectedTags
+      .filter(name => !names.includes(name))
+      .forEach(name => this.removeSelectedTag(name))
+    this.updateTagsDropdown(tags)
+    
+    if (this.hasTagManagerModalTarget && !this.tagManagerModalTarget.classList.contains("hidden")) {
+      this.loadTags()
     }
   }
 
   /**
-   * Load all tags from the server
+   * Use a tag's new name wherever this page still has the old one
    */
-  async loadTags() {
-    if (!this.hasTagManagerListTarget) return
-    
-    // Show loading
-    this.tagManagerListTarget.innerHTML = `
-      <div class="loading-state">
-        <div class="spinner"></div>
-      </div>
-    `
+  renameTagLocally(from, to) {
+    const rename = name => name === from ? to : name
     
-    try {
-      const response = await fetch("/tags", {
-        headers: { "Accept": "application/json" }
-      })
-      
-      if (response.ok) {
-        const data = await response.json()
-        this.renderTagList(data.tags || [])
-      } else {
-        this.tagManagerListTarget.innerHTML = `
-          <div class="tag-manager-empty">Failed to load tags</div>
-        `
-      }
-    } catch (error) {
-      console.error("[Pomodoro] Error loading tags:", error)
-      this.tagManagerListTarget.innerHTML = `
-        <div class="tag-manager-empty">Failed to load tags</div>
-      `
+    if (this.selectedTags.includes(from)) {
+      this.setSelectedTags(this.selectedTags.map(rename))
     }
+    this.recentDescriptions = this.recentDescriptions.map(recent => ({ ...recent, tags: (recent.tags || []).map(rename) }))
+    if (this.statsProject === from) this.statsProject = to
+    this.element.querySelectorAll(".tag-badge[data-tag]").forEach(badge => {
+      badge.dataset.tag = rename(badge.dataset.tag)
+    })
   }
 
   /**
-   * Render the tag list in the modal
+   * Follow a pomodoro started, paused or resumed on another device
    */
-  renderTagList(tags) {
-    if (!this.hasTagManagerListTarget) return
+  applyRemoteTimerState(pomodoro) {
+    if (!pomodoro) return
     
-    if (tags.length === 0) {
-      this.tagManagerListTarget.innerHTML = `
-        <div class="tag-manager-empty">No tags yet. Add one above!</div>
-      `
-      return
+    if (this.engine.state === "ready" || (pomodoro.id === this.serverSessionId && this.isFocusActive())) {
+      this.adoptServerSession(pomodoro)
     }
+  }
+
+  /**
+   * Follow a pomodoro finished or stopped on another device
+   * A completed one is completed here too (the server doesn't log it twice),
+   * so this device moves on to the same break
+   */
+  applyRemoteTimerEnd({ id, reason, completed_at }) {
+    if (id !== this.serverSessionId || !this.isFocusActive() || !this.engine.phaseEndsAt) return
     
-    const html = tags.map(tag => `
-      <div class="tag-manager-item" data-tag-id="${tag.id}">
-        <div>
-          <span class="tag-manager-name">${this.escapeHtml(tag.name)}</span>
-          <span class="tag-manager-count">${tag.pomodoro_count} pomodoro${tag.pomodoro_count !== 1 ? 's' : ''}</span>
-        </div>
-        <button 
-          class="tag-manager-delete" 
-          data-action="click->pomodoro-timer#deleteTag"
-          data-tag-id="${tag.id}"
-          data-tag-name="${this.escapeHtml(tag.name)}"
-          aria-label="Delete tag"
-        >×</button>
-      </div>
-    `).join("")
+    console.log("[Pomodoro] Pomodoro", reason, "on another device")
     
-    this.tagManagerListTarget.innerHTML = html
+    this.engine.stopTicking()
+    
+    if (reason === "completed") {
+      this.playCue("focus_end", new Date(completed_at))
+      this.completePomodoro(new Date(completed_at))
+    } else {
+      this.resetToReady()
+      this.persistTimerState()
+    }
   }
 
+  // ===========================================
+  // Cross-Tab Synchronization
+  // ===========================================
+
   /**
-   * Add a new tag from the manager modal
+   * Open the sync channel and compete for the leader lock
+   * Without Web Locks every tab acts as its own leader
    */
-  async addNewTagFromManager() {
-    if (!this.hasNewTagInputTarget) return
+  setupTabSync() {
+    this.isLeader = !("locks" in navigator)
     
-    const name = this.newTagInputTarget.value.trim()
-    if (!name) return
+    if ("BroadcastChannel" in window) {
+      this.syncChannel = new BroadcastChannel(this.constructor.SYNC_CHANNEL_NAME)
+      this.syncChannel.onmessage = (event) => this.handleSyncMessage(event.data)
+    }
     
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
-    
-    try {
-      const response = await fetch("/tags", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "X-CSRF-Token": csrfToken,
-          "Accept": "application/json"
-        },
-        body: JSON.stringify({ name })
-      })
+    if ("locks" in navigator) {
+      this.leaderLockAbort = new AbortController()
       
-      if (response.ok) {
-        const data = await response.json()
-        
-        // Clear input
-        this.newTagInputTarget.value = ""
+      navigator.locks.request(this.constructor.LEADER_LOCK_NAME, { signal: this.leaderLockAbort.signal }, () => {
+        console.log("[Pomodoro] This tab is now the timer leader")
+        this.isLeader = true
         
-        // Reload tag list
-        this.loadTags()
+        // Catch up on anything the previous leader left unfinished
+        this.engine.tick()
+        this.updateSounds()
         
-        // Also add to the combobox dropdown if it's a new tag
-        if (data.is_new && data.tag) {
-          this.addTagToDropdown(data.tag.name)
+        // Hold the lock until this controller disconnects
+        return new Promise(resolve => { this.releaseLeaderLock = resolve })
+      }).catch(error => {
+        if (error.name !== "AbortError") {
+          console.error("[Pomodoro] Failed to acquire leader lock:", error)
+        }
+      })
+    }
+  }
+
+  /**
+   * Close the sync channel and give up (or stop waiting for) the leader lock
+   */
+  teardownTabSync() {
+    this.syncChannel?.close()
+    this.syncChannel = null
+    this.leaderLockAbort?.abort()
+    this.releaseLeaderLock?.()
+    this.releaseLeaderLock = null
+    this.isLeader = false
+  }
+
+  /**
+   * Post a message to the other tabs
+   */
+  broadcast(message) {
+    this.syncChannel?.postMessage(message)
+  }
+
+  /**
+   * Handle a message from another tab
+   */
+  handleSyncMessage(message) {
+    switch (message?.type) {
+      case "state":
+        // A null or non-running state means the other tab went back to ready
+        if (!this.applyTimerState(message.timerState) && this.engine.state !== "ready") {
+          this.resetToReady()
         }
+        break
+      case "pomodoro_saved":
+        this.applySavedPomodoro(message.response)
+        this.updateCount()
+        break
+      case "expired":
+        // While waiting on the idle prompt the phase can't end, and re-ticking
+        // would only chime again
+        if (this.isLeader && !this.idleSince) this.engine.tick()
+        break
+      case "activity":
+        this.recordActivity(message.at)
+        break
+      case "idle_answer":
+        if (this.isLeader) this.applyIdleAnswer(message)
+        break
+    }
+  }
+
+  /**
+   * Update the timer display (MM:SS format)
+   */
+  updateDisplay() {
+    if (this.engine.state === "overtime") {
+      this.timerTarget.textContent = `+${this.formatClock(this.overtimeSeconds())}`
+    } else {
+      this.timerTarget.textContent = this.formatClock(this.engine.secondsRemaining)
+    }
+    
+    this.updateDocumentTitle()
+    this.updateMiniTimer()
+  }
+
+  /**
+   * Show the countdown and phase in the tab title, e.g. "12:34 • Focus – Write report"
+   * Restores the page's own title when nothing is running
+   */
+  updateDocumentTitle() {
+    const phase = { pomodoro_running: "Focus", paused: "Paused", overtime: "Overtime", break_running: "Break" }[this.engine.state]
+    if (!phase) {
+      document.title = this.baseTitle
+      return
+    }
+    
+    const description = this.isFocusActive() && this.hasDescriptionTarget ? this.descriptionTarget.value.trim() : ""
+    document.title = `${this.timerTarget.textContent} • ${phase}${description ? ` – ${description}` : ""}`
+  }
+
+  /**
+   * Format seconds as MM:SS
+   */
+  formatClock(totalSeconds) {
+    const minutes = Math.floor(totalSeconds / 60)
+    const seconds = totalSeconds % 60
+    return `${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`
+  }
+
+  /**
+   * Update count display
+   */
+  updateCount() {
+    console.log("[Pomodoro] updateCount called, completedToday:", this.completedToday)
+    if (this.hasCountTarget) {
+      this.countTarget.textContent = this.completedToday
+      console.log("[Pomodoro] Count display updated")
+    } else {
+      console.log("[Pomodoro] No countTarget found")
+    }
+    this.updateTodayProgress()
+  }
+
+  /**
+   * Update today's progress bar segments
+   */
+  updateTodayProgress() {
+    console.log("[Pomodoro] updateTodayProgress called, hasProgressBarTarget:", this.hasProgressBarTarget)
+    if (!this.hasProgressBarTarget) return
+    
+    const segments = this.progressBarTarget.querySelectorAll(".today-count-segment")
+    segments.forEach((segment, index) => {
+      if (index < this.completedToday) {
+        segment.classList.add("filled")
+      } else {
+        segment.classList.remove("filled")
       }
-    } catch (error) {
-      console.error("[Pomodoro] Error adding tag:", error)
+    })
+  }
+
+  /**
+   * Update visual state classes on container
+   * Provides clear visual feedback for different timer states
+   */
+  updateVisualState() {
+    if (!this.hasContainerTarget) return
+
+    // Set data-state attribute for CSS-driven visual changes
+    switch (this.engine.state) {
+      case "pomodoro_running":
+        this.containerTarget.dataset.state = "focus"
+        break
+      case "paused":
+        this.containerTarget.dataset.state = "paused"
+        break
+      case "overtime":
+        this.containerTarget.dataset.state = "overtime"
+        break
+      case "break_running":
+        this.containerTarget.dataset.state = "break"
+        break
+      default:
+        this.containerTarget.dataset.state = "ready"
+    }
+    
+    // Update timer ring progress
+    this.updateTimerRing()
+  }
+  
+  /**
+   * Update the circular timer ring progress
+   */
+  updateTimerRing() {
+    const progress = this.timerProgress()
+    this.updateFavicon(progress)
+    
+    if (!this.hasTimerRingTarget) return
+    
+    const circumference = 2 * Math.PI * 90 // radius = 90
+    const offset = circumference * (1 - progress)
+    this.timerRingTarget.style.strokeDashoffset = offset
+  }
+
+  /**
+   * How far through the current phase we are (0-1), as drawn by the timer ring
+   */
+  timerProgress() {
+    // Overtime draws a second lap in the overtime color
+    return this.engine.progress()
+  }
+
+  /**
+   * Redraw the favicon as a progress ring in the timer ring's colors
+   * Goes back to the app icon when nothing is running
+   */
+  updateFavicon(progress) {
+    if (this.faviconLinks.length === 0) return
+    
+    if (!["pomodoro_running", "paused", "overtime", "break_running"].includes(this.engine.state)) {
+      this.restoreFavicon()
+      return
+    }
+    
+    // The ring only visibly moves every few seconds at this size
+    const key = `${this.engine.state}:${Math.round(progress * 100)}`
+    if (key === this.faviconKey) return
+    this.faviconKey = key
+    
+    const size = 64
+    const lineWidth = 10
+    const radius = (size - lineWidth) / 2
+    const styles = this.hasContainerTarget ? getComputedStyle(this.containerTarget) : null
+    
+    this.faviconCanvas ||= Object.assign(document.createElement("canvas"), { width: size, height: size })
+    const ctx = this.faviconCanvas.getContext("2d")
+    ctx.clearRect(0, 0, size, size)
+    ctx.lineWidth = lineWidth
+    ctx.lineCap = "round"
+    
+    ctx.strokeStyle = styles?.getPropertyValue("--ring-bg").trim() || "#e8e6e3"
+    ctx.beginPath()
+    ctx.arc(size / 2, size / 2, radius, 0, 2 * Math.PI)
+    ctx.stroke()
+    
+    if (progress > 0) {
+      ctx.strokeStyle = styles?.getPropertyValue("--ring-progress").trim() || "#1a1a1a"
+      ctx.beginPath()
+      ctx.arc(size / 2, size / 2, radius, -Math.PI / 2, -Math.PI / 2 + progress * 2 * Math.PI)
+      ctx.stroke()
+    }
+    
+    const href = this.faviconCanvas.toDataURL("image/png")
+    this.faviconLinks.forEach(({ link }) => {
+      link.type = "image/png"
+      link.href = href
+    })
+  }
+
+  /**
+   * Put the app's own icons back
+   */
+  restoreFavicon() {
+    if (this.faviconKey === null) return
+    
+    this.faviconKey = null
+    this.faviconLinks.forEach(({ link, href, type }) => {
+      link.type = type
+      link.href = href
+    })
+  }
+
+  /**
+   * Update button visibility based on state
+   * - Ready: Show start button, hide stop button
+   * - Pomodoro running: Hide start button, show pause and stop buttons
+   * - Paused: Show resume and stop buttons
+   * - Overtime: Show finish button
+   * - Break running: Hide all buttons
+   */
+  updateButtons() {
+    const isPomodoroRunning = this.engine.state === "pomodoro_running"
+    const isPaused = this.engine.state === "paused"
+    const isBreakRunning = this.engine.state === "break_running"
+
+    // Start button: visible only in ready state
+    if (this.hasStartButtonTarget) {
+      this.startButtonTarget.classList.toggle("hidden", this.engine.state !== "ready")
+      this.startButtonTarget.disabled = this.engine.state !== "ready"
+    }
+
+    // Stop button: visible during pomodoro, running or paused
+    if (this.hasStopButtonTarget) {
+      this.stopButtonTarget.classList.toggle("hidden", !isPomodoroRunning && !isPaused)
+    }
+
+    // Pause/Resume buttons: swap places while the pomodoro is paused
+    if (this.hasPauseButtonTarget) {
+      this.pauseButtonTarget.classList.toggle("hidden", !isPomodoroRunning)
+    }
+    if (this.hasResumeButtonTarget) {
+      this.resumeButtonTarget.classList.toggle("hidden", !isPaused)
+    }
+
+    // Finish button: ends a flow-mode session in overtime
+    if (this.hasFinishButtonTarget) {
+      this.finishButtonTarget.classList.toggle("hidden", this.engine.state !== "overtime")
+    }
+
+    // Interruption markers: visible during any focus session
+    if (this.hasInterruptionControlsTarget) {
+      this.interruptionControlsTarget.classList.toggle("hidden", !this.isFocusActive())
+    }
+    this.updateInterruptionCounts()
+
+    // Break controls (end break button + duration toggles): visible only during break
+    if (this.hasBreakControlsTarget) {
+      this.breakControlsTarget.classList.toggle("hidden", !isBreakRunning)
+    }
+
+    // Update form inputs
+    const isRunning = this.engine.state !== "ready"
+    this.descriptionTarget.disabled = isRunning
+    if (this.hasTagInputTarget) {
+      this.tagInputTarget.disabled = isRunning
+    }
+    if (this.hasComboboxTarget) {
+      this.comboboxTarget.classList.toggle("disabled", isRunning)
+    }
+  }
+
+  /**
+   * Names of the tags selected in the combobox
+   */
+  getSelectedTags() {
+    return [...this.selectedTags]
+  }
+
+  /**
+   * Replace the selected tags (repeats, ignoring case, are dropped)
+   */
+  setSelectedTags(tags) {
+    this.selectedTags = []
+    tags.forEach(tag => this.addSelectedTag(tag))
+    this.renderTagChips()
+  }
+
+  /**
+   * Whether a tag is selected (ignoring case)
+   */
+  isTagSelected(tag) {
+    return this.selectedTags.some(name => name.toLowerCase() === tag.toLowerCase())
+  }
+
+  /**
+   * Add a tag to the selection, unless it's already there
+   */
+  addSelectedTag(tag) {
+    const name = tag?.trim()
+    if (!name || this.isTagSelected(name)) return
+    
+    this.selectedTags.push(name)
+    this.renderTagChips()
+  }
+
+  /**
+   * Take a tag out of the selection
+   */
+  removeSelectedTag(tag) {
+    this.selectedTags = this.selectedTags.filter(name => name.toLowerCase() !== tag.toLowerCase())
+    this.renderTagChips()
+  }
+
+  /**
+   * Remove a tag by clicking the × on its chip
+   */
+  removeTagChip(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    
+    this.removeSelectedTag(event.currentTarget.dataset.tag)
+  }
+
+  /**
+   * Show the selected tags as chips and tick them in the dropdown
+   */
+  renderTagChips() {
+    if (this.hasTagChipsTarget) {
+      this.tagChipsTarget.innerHTML = this.selectedTags.map(tag => `
+        <span class="tag-chip" style="--tag-color: ${this.tagAppearance(tag).color}">
+          ${this.escapeHtml(this.tagLabel(tag))}
+          <button type="button" class="tag-chip-remove" data-action="click->pomodoro-timer#removeTagChip" data-tag="${this.escapeAttribute(tag)}" aria-label="Remove ${this.escapeAttribute(tag)}">×</button>
+        </span>
+      `).join("")
+    }
+    
+    this.markSelectedTagOptions()
+  }
+
+  /**
+   * A tag's color and emoji, as the dropdown has them
+   * Tags the page hasn't heard of yet (just typed) are grey
+   */
+  tagAppearance(name) {
+    const option = this.hasTagDropdownTarget
+      ? Array.from(this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]")).find(option => option.dataset.tag === name)
+      : null
+    
+    return {
+      color: this.tagColor(option?.dataset.color),
+      emoji: option?.dataset.emoji || ""
+    }
+  }
+
+  /**
+   * A tag color that's safe to put in a style: a #rrggbb hex like the
+   * server stores, or grey for anything else
+   */
+  tagColor(color) {
+    return /^#[0-9a-f]{6}$/i.test(color || "") ? color : this.constructor.UNKNOWN_TAG_COLOR
+  }
+
+  /**
+   * A tag's name with its emoji in front, if it has one
+   */
+  tagLabel(name, emoji = this.tagAppearance(name).emoji) {
+    return emoji ? `${emoji} ${name}` : name
+  }
+
+  /**
+   * A tag in today's list: a dot in its color, or its emoji on that color
+   */
+  tagBadgeHtml(name) {
+    const { color, emoji } = this.tagAppearance(name)
+    return `<span class="tag-badge" title="${this.escapeAttribute(name)}" data-tag="${this.escapeAttribute(name)}" style="--tag-color: ${color}">${this.escapeHtml(emoji)}</span>`
+  }
+
+  /**
+   * Repaint today's tag badges after tags change color, emoji or go away
+   */
+  refreshTagBadges() {
+    this.element.querySelectorAll(".tag-badge[data-tag]").forEach(badge => {
+      const option = Array.from(this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]")).find(option => option.dataset.tag === badge.dataset.tag)
+      if (!option) {
+        badge.remove()
+        return
+      }
+      
+      badge.title = badge.dataset.tag
+      badge.style.setProperty("--tag-color", this.tagColor(option.dataset.color))
+      badge.textContent = option.dataset.emoji || ""
+    })
+  }
+
+  /**
+   * Tick the dropdown options whose tags are selected
+   */
+  markSelectedTagOptions() {
+    if (!this.hasTagDropdownTarget) return
+    
+    this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]").forEach(option => {
+      const selected = this.isTagSelected(option.dataset.tag)
+      option.classList.toggle("selected", selected)
+      option.setAttribute("aria-selected", selected)
+    })
+  }
+
+  // ===========================================
+  // Tag Combobox Methods
+  // ===========================================
+
+  /**
+   * Open the tag dropdown when input is focused
+   */
+  openTagDropdown() {
+    if (!this.hasTagDropdownTarget) return
+    
+    this.tagDropdownTarget.classList.remove("hidden")
+    this.filterTags()
+  }
+
+  /**
+   * Close the tag dropdown
+   */
+  closeTagDropdown() {
+    if (!this.hasTagDropdownTarget) return
+    this.tagDropdownTarget.classList.add("hidden")
+  }
+
+  /**
+   * Handle clicks outside the combobox to close dropdown
+   */
+  handleClickOutside(event) {
+    if (!this.hasComboboxTarget) return
+    
+    if (!this.comboboxTarget.contains(event.target)) {
+      this.closeTagDropdown()
+    }
+  }
+
+  /**
+   * Filter tag options based on input value
+   */
+  filterTags() {
+    if (!this.hasTagDropdownTarget || !this.hasTagInputTarget) return
+
+    const searchValue = this.tagInputTarget.value.toLowerCase().trim()
+    const options = this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]")
+    let hasExactMatch = false
+
+    options.forEach(option => {
+      const tagValue = option.dataset.tag.toLowerCase()
+      const matches = tagValue.includes(searchValue)
+      option.classList.toggle("hidden", !matches)
+      
+      if (tagValue === searchValue) hasExactMatch = true
+    })
+
+    // Show "Add new" option if there's text and no exact match
+    if (this.hasAddNewOptionTarget && this.hasAddNewTextTarget) {
+      if (searchValue && !hasExactMatch) {
+        this.addNewOptionTarget.classList.remove("hidden")
+        this.addNewTextTarget.textContent = this.tagInputTarget.value.trim()
+      } else {
+        this.addNewOptionTarget.classList.add("hidden")
+      }
+    }
+  }
+
+  /**
+   * Handle keyboard navigation in tag combobox
+   * Enter adds the typed tag (creating it if it's new), Backspace in an
+   * empty field removes the last chip
+   */
+  handleTagKeydown(event) {
+    if (event.key === "Escape") {
+      this.closeTagDropdown()
+      this.tagInputTarget.blur()
+    } else if (event.key === "Backspace" && !this.tagInputTarget.value && this.selectedTags.length > 0) {
+      this.removeSelectedTag(this.selectedTags[this.selectedTags.length - 1])
+    } else if (event.key === "Enter") {
+      event.preventDefault()
+      const tagValue = this.tagInputTarget.value.trim()
+      
+      if (!tagValue) {
+        this.closeTagDropdown()
+        return
+      }
+      
+      this.applyTag(this.availableTags().find(tag => tag.toLowerCase() === tagValue.toLowerCase()) || tagValue)
+      this.clearTagSearch()
+    }
+  }
+
+  /**
+   * Empty the typed search, showing every tag again
+   */
+  clearTagSearch() {
+    if (!this.hasTagInputTarget) return
+    
+    this.tagInputTarget.value = ""
+    this.filterTags()
+  }
+
+  /**
+   * Select or unselect a tag from the dropdown
+   * The dropdown stays open so several tags can be picked in a row
+   */
+  selectTag(event) {
+    event.preventDefault()
+    
+    const tag = event.currentTarget.dataset.tag?.trim()
+    if (!tag) return
+    
+    if (this.isTagSelected(tag)) {
+      this.removeSelectedTag(tag)
+    } else {
+      this.addSelectedTag(tag)
+    }
+    
+    this.clearTagSearch()
+    if (this.hasTagInputTarget) this.tagInputTarget.focus()
+  }
+
+  /**
+   * Rebuild the tags dropdown from the server's list of tags
+   * This ensures the dropdown stays in sync with the database
+   * @param tags [{ name, parent, color, emoji }] in tree order, so each
+   *   project's tags follow it
+   * The chips and today's tag badges take their colors from the dropdown, so
+   * they're repainted too
+   */
+  updateTagsDropdown(tags) {
+    if (!this.hasTagDropdownTarget) return
+    
+    const addNewOption = this.hasAddNewOptionTarget ? this.addNewOptionTarget : null
+    this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]").forEach(option => option.remove())
+    tags.forEach(tag => {
+      this.tagDropdownTarget.insertBefore(this.buildTagOption(tag), addNewOption)
+    })
+    
+    this.renderTagChips()
+    this.refreshTagBadges()
+    this.filterTags()
+  }
+
+  /**
+   * A dropdown option for a tag, with its color and emoji, indented under its
+   * project if it has one
+   * @param tag { name, parent, color, emoji }
+   */
+  buildTagOption(tag) {
+    const option = document.createElement("button")
+    option.type = "button"
+    option.className = tag.parent ? "combobox-option child" : "combobox-option"
+    option.setAttribute("role", "option")
+    option.dataset.tag = tag.name
+    option.dataset.parent = tag.parent || ""
+    option.dataset.color = tag.color || ""
+    option.dataset.emoji = tag.emoji || ""
+    option.dataset.action = "click->pomodoro-timer#selectTag"
+    
+    const swatch = document.createElement("span")
+    swatch.className = "tag-swatch"
+    swatch.style.setProperty("--tag-color", this.tagColor(tag.color))
+    option.append(swatch, this.tagLabel(tag.name, tag.emoji))
+    return option
+  }
+
+  /**
+   * Create the typed tag and select it
+   * Called when clicking the "Add [tagname]" option
+   */
+  addNewTag(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    
+    if (!this.hasTagInputTarget || !this.hasTagDropdownTarget) return
+    
+    const newTagName = this.tagInputTarget.value.trim()
+    if (!newTagName) return
+    
+    // Save tag to database immediately
+    this.applyTag(newTagName)
+    this.clearTagSearch()
+    this.tagInputTarget.focus()
+  }
+
+  /**
+   * Save a new tag to the database
+   * Creates the tag in the database and adds it to the dropdown, selected
+   */
+  async saveTagToDatabase(tagName) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+
+    try {
+      const response = await fetch("/tags", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({ name: tagName })
+      })
+
+      const data = await response.json()
+
+      if (response.ok && data.success) {
+        this.addTagToDropdown(data.tag)
+        
+        // Use the saved spelling if the tag already existed in another case
+        if (this.isTagSelected(data.tag.name)) {
+          this.selectedTags = this.selectedTags.map(name => name.toLowerCase() === data.tag.name.toLowerCase() ? data.tag.name : name)
+          this.renderTagChips()
+        }
+      } else {
+        console.error("Failed to save tag:", data.errors || data.error)
+      }
+    } catch (error) {
+      console.error("Error saving tag:", error)
+    }
+  }
+
+  /**
+   * Add a new top-level tag option to the dropdown
+   * @param tag { name, color, emoji } as the server saved it
+   */
+  addTagToDropdown(tag) {
+    if (!this.hasTagDropdownTarget) return
+    
+    // Check if tag already exists in dropdown
+    const existingOptions = Array.from(this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]"))
+    if (existingOptions.some(option => option.dataset.tag === tag.name)) return
+    
+    // Insert in alphabetical order among the top-level tags (before the
+    // "Add new" option if it sorts last)
+    const addNewOption = this.hasAddNewOptionTarget ? this.addNewOptionTarget : null
+    const next = existingOptions.find(option => !option.dataset.parent && option.dataset.tag.toLowerCase() > tag.name.toLowerCase())
+    this.tagDropdownTarget.insertBefore(this.buildTagOption({ ...tag, parent: null }), next || addNewOption)
+    
+    // Its chip was grey until now
+    this.renderTagChips()
+  }
+
+  /**
+   * Update the active title display
+   * Shows the pomodoro description above the timer when running
+   */
+  updateActiveTitle() {
+    if (!this.hasActiveTitleTarget) return
+
+    const isPomodoroActive = this.isFocusActive()
+    const description = this.descriptionTarget.value.trim()
+
+    if (isPomodoroActive && description) {
+      this.activeTitleTarget.textContent = description
+      this.activeTitleTarget.classList.remove("hidden")
+    } else {
+      this.activeTitleTarget.classList.add("hidden")
+      this.activeTitleTarget.textContent = ""
+    }
+  }
+
+  /**
+   * Update all UI elements based on current state
+   */
+  updateUI() {
+    this.updateDisplay()
+    this.updateVisualState()
+    this.updateButtons()
+    this.updateActiveTitle()
+    this.updateSounds()
+    
+    // The time away no longer belongs to a running session
+    if (this.idleSince && this.engine.state !== "pomodoro_running" && this.engine.state !== "overtime") {
+      this.clearIdlePrompt()
+    }
+
+    // Update status text - minimal, elegant labels
+    const statusMap = {
+      ready: "Ready",
+      pomodoro_running: "Focus",
+      paused: "Paused",
+      overtime: "Overtime",
+      break_running: "Break"
+    }
+    if (this.hasStatusTarget) {
+      this.statusTarget.textContent = statusMap[this.engine.state] || ""
+    }
+    
+    this.updateMiniTimer()
+  }
+
+  // ===========================================
+  // Tag Statistics Modal & Pie Chart
+  // ===========================================
+
+  /**
+   * Update the tag statistics display (chart and legend)
+   * Called when pomodoros are added or deleted
+   */
+  updateTagStatsDisplay() {
+    const stats = this.visibleTagStatistics()
+    
+    // Find the modal body
+    const modalBody = this.hasTagStatsModalTarget 
+      ? this.tagStatsModalTarget.querySelector(".modal-body")
+      : null
+    
+    if (!modalBody) return
+    
+    if (stats.length === 0) {
+      // Show empty state
+      modalBody.innerHTML = `
+        <div class="empty-stats">
+          <svg class="empty-stats-icon" viewBox="0 0 100 100">
+            <circle cx="50" cy="50" r="40" fill="none" stroke="currentColor" stroke-width="4" opacity="0.2"/>
+            <path d="M50 10 A40 40 0 0 1 90 50" fill="none" stroke="currentColor" stroke-width="4" opacity="0.4"/>
+          </svg>
+          <p>Complete pomodoros with tags to see your time distribution</p>
+        </div>
+      `
+    } else {
+      // Build chart and legend HTML
+      const total = stats.reduce((sum, s) => sum + s.count, 0)
+      const legendHtml = stats.map(stat => `
+        <div class="legend-item${stat.is_project ? " drillable" : ""}"
+          ${stat.is_project ? `data-action="click->pomodoro-timer#drillIntoProject"` : ""}>
+          <span class="legend-dot" style="background-color: ${this.tagStatColor(stat)}"></span>
+          <span class="legend-label">
+            ${this.escapeHtml(this.tagStatLabel(stat))}
+            <span class="legend-detail">${this.formatTagDetail(stat)}</span>
+          </span>
+          <span class="legend-value">${Math.round((stat.count / total) * 100)}%</span>
+          ${stat.is_project ? `<span class="legend-drill" aria-hidden="true">›</span>` : ""}
+        </div>
+      `).join("")
+      
+      const breadcrumbHtml = this.statsProject ? `
+        <nav class="stats-breadcrumb">
+          <button type="button" data-action="click->pomodoro-timer#showAllProjects">All tags</button>
+          <span aria-hidden="true">›</span>
+          <strong>${this.escapeHtml(this.statsProject)}</strong>
+        </nav>
+      ` : ""
+      
+      modalBody.innerHTML = `
+        ${breadcrumbHtml}
+        <div class="chart-container" data-pomodoro-timer-target="pieChartContainer">
+          <canvas data-pomodoro-timer-target="pieChart" width="280" height="280"></canvas>
+        </div>
+        <div class="legend" data-pomodoro-timer-target="tagStatsLegend">
+          ${legendHtml}
+        </div>
+      `
+      
+      // Project names go in through dataset, not the markup above
+      modalBody.querySelectorAll(".legend-item").forEach((item, index) => {
+        if (stats[index].is_project) item.dataset.project = stats[index].tag
+      })
+      
+      this.renderPieChart()
+    }
+  }
+
+  /**
+   * Statistics rows for the level being shown: the top level (projects rolled
+   * up), or the tags inside the project drilled into
+   * Falls back to the top level if that project no longer has any
+   */
+  visibleTagStatistics() {
+    const stats = this.tagStatisticsValue || []
+    const rows = stats.filter(stat => (stat.project || null) === this.statsProject)
+    
+    if (this.statsProject && rows.length === 0) {
+      this.statsProject = null
+      return this.visibleTagStatistics()
+    }
+    return rows
+  }
+
+  /**
+   * Legend label for a row; inside a project, the project's own row stands
+   * for pomodoros tagged with it directly
+   */
+  tagStatLabel(stat) {
+    const label = this.tagLabel(stat.tag, stat.emoji)
+    return stat.project && stat.tag === stat.project ? `${label} (no sub-tag)` : label
+  }
+
+  /**
+   * The color a statistics row is drawn in: its tag's own
+   */
+  tagStatColor(stat) {
+    return this.tagColor(stat.color)
+  }
+
+  /**
+   * Show the tags that make up a project
+   */
+  drillIntoProject(event) {
+    this.statsProject = event.currentTarget.dataset.project
+    this.updateTagStatsDisplay()
+  }
+
+  /**
+   * Go back to the top level of the tag statistics
+   */
+  showAllProjects() {
+    this.statsProject = null
+    this.updateTagStatsDisplay()
+  }
+
+  /**
+   * Format completion rate and interruptions for a tag legend item
+   */
+  formatTagDetail(stat) {
+    const rate = stat.completion_rate ?? 100
+    const internal = stat.internal_interruptions || 0
+    const external = stat.external_interruptions || 0
+    return `${rate}% completed · ${internal}' ${external}-`
+  }
+
+  /**
+   * Open the tag statistics modal and render the pie chart
+   */
+  openTagStats() {
+    if (!this.hasTagStatsModalTarget) return
+    
+    this.tagStatsModalTarget.classList.remove("hidden")
+    this.statsProject = null
+    this.updateTagStatsDisplay()
+    
+    // Prevent body scroll when modal is open
+    document.body.style.overflow = "hidden"
+  }
+
+  /**
+   * Close the tag statistics modal
+   */
+  closeTagStats() {
+    if (!this.hasTagStatsModalTarget) return
+    
+    this.tagStatsModalTarget.classList.add("hidden")
+    document.body.style.overflow = ""
+  }
+
+  /**
+   * Handle clicks on the modal overlay - close if clicking outside content
+   */
+  handleModalClick(event) {
+    // Close if clicking on the overlay itself (not the modal content)
+    if (event.target === this.tagStatsModalTarget) {
+      this.closeTagStats()
+    }
+  }
+
+  // ===========================================
+  // Tag Manager Modal
+  // ===========================================
+
+  /**
+   * Open the tag manager modal and load tags
+   */
+  openTagManager() {
+    if (!this.hasTagManagerModalTarget) return
+    
+    this.tagManagerModalTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
+    
+    // Focus the input
+    if (this.hasNewTagInputTarget) {
+      this.newTagInputTarget.value = ""
+      this.newTagInputTarget.focus()
+    }
+    
+    // Load tags
+    this.loadTags()
+  }
+
+  /**
+   * Close the tag manager modal
+   */
+  closeTagManager() {
+    if (!this.hasTagManagerModalTarget) return
+    
+    this.tagManagerModalTarget.classList.add("hidden")
+    document.body.style.overflow = ""
+  }
+
+  /**
+   * Handle clicks on the tag manager modal overlay
+   */
+  handleTagManagerClick(event) {
+    if (event.target === this.tagManagerModalTarget) {
+      this.closeTagManager()
+    }
+  }
+
+  /**
+   * Handle Enter key in new tag input
+   */
+  handleNewTagKeydown(event) {
+    if (event.key === "Enter") {
+      event.preventDefault()
+      this.addNewTagFromManager()
+    }
+  }
+
+  /**
+   * Load all tags from the server
+   */
+  async loadTags() {
+    if (!this.hasTagManagerListTarget) return
+    
+    // Show loading
+    this.tagManagerListTarget.innerHTML = `
+      <div class="loading-state">
+        <div class="spinner"></div>
+      </div>
+    `
+    
+    try {
+      const response = await fetch("/tags", {
+        headers: { "Accept": "application/json" }
+      })
+      
+      if (response.ok) {
+        const data = await response.json()
+        this.renderTagList(data.tags || [])
+      } else {
+        this.tagManagerListTarget.innerHTML = `
+          <div class="tag-manager-empty">Failed to load tags</div>
+        `
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error loading tags:", error)
+      this.tagManagerListTarget.innerHTML = `
+        <div class="tag-manager-empty">Failed to load tags</div>
+      `
+    }
+  }
+
+  /**
+   * Render the tag list in the modal as a tree: each project's tags under it
+   * Each tag has a color picker, and a picker to move it into a project (or
+   * out of one); tags that have their own tags stay at the top level
+   * @param tags [{ id, name, parent_id, color, emoji, pomodoro_count }] in tree order
+   */
+  renderTagList(tags) {
+    if (!this.hasTagManagerListTarget) return
+    
+    this.managedTags = tags
+    const topLevel = tags.filter(tag => !tag.parent_id)
+    const namesById = new Map(tags.map(tag => [tag.id, tag.name]))
+    const parentIds = new Set(tags.map(tag => tag.parent_id).filter(Boolean))
+    
+    // Keep the combobox and the new tag's project picker in step with the tree
+    this.updateTagsDropdown(tags.map(tag => ({ ...tag, parent: namesById.get(tag.parent_id) || null })))
+    if (this.hasNewTagParentTarget) {
+      this.newTagParentTarget.innerHTML = this.tagParentOptions(topLevel, this.newTagParentTarget.value)
+    }
+    
+    if (tags.length === 0) {
+      this.tagManagerListTarget.innerHTML = `
+        <div class="tag-manager-empty">No tags yet. Add one above!</div>
+      `
+      return
+    }
+    
+    const html = tags.map(tag => `
+      <div class="tag-manager-item${tag.parent_id ? " child" : ""}" data-tag-id="${tag.id}">
+        <div class="tag-manager-label">
+          <input
+            type="color"
+            class="tag-manager-color"
+            value="${this.tagColor(tag.color)}"
+            data-action="change->pomodoro-timer#recolorTag"
+            data-tag-id="${tag.id}"
+            aria-label="Color for ${this.escapeAttribute(tag.name)}"
+          >
+          <span class="tag-manager-name">${this.escapeHtml(this.tagLabel(tag.name, tag.emoji))}</span>
+          <span class="tag-manager-count">${tag.pomodoro_count} pomodoro${tag.pomodoro_count !== 1 ? 's' : ''}</span>
+        </div>
+        <div class="tag-manager-actions">
+          <select
+            class="tag-manager-parent"
+            data-action="change->pomodoro-timer#moveTag"
+            data-tag-id="${tag.id}"
+            aria-label="Project for ${this.escapeAttribute(tag.name)}"
+            ${parentIds.has(tag.id) ? "disabled" : ""}
+          >${this.tagParentOptions(topLevel.filter(parent => parent.id !== tag.id), tag.parent_id)}</select>
+          <button
+            class="tag-manager-edit-button"
+            data-action="click->pomodoro-timer#editTag"
+            data-tag-id="${tag.id}"
+            aria-label="Edit tag"
+          >✎</button>
+          <button 
+            class="tag-manager-delete" 
+            data-action="click->pomodoro-timer#deleteTag"
+            data-tag-id="${tag.id}"
+            data-tag-name="${this.escapeAttribute(tag.name)}"
+            aria-label="Delete tag"
+          >×</button>
+        </div>
+      </div>
+    `).join("")
+    
+    this.tagManagerListTarget.innerHTML = html
+  }
+
+  /**
+   * <option>s for picking a project: "No project", then the given tags
+   */
+  tagParentOptions(projects, selectedId) {
+    return [
+      `<option value="">No project</option>`,
+      ...projects.map(project => `
+        <option value="${project.id}" ${String(project.id) === String(selectedId) ? "selected" : ""}>${this.escapeHtml(project.name)}</option>
+      `)
+    ].join("")
+  }
+
+  /**
+   * Open (or close) the panel under a tag for its emoji, renaming and merging
+   */
+  editTag(event) {
+    const item = event.currentTarget.closest(".tag-manager-item")
+    const tag = this.managedTags.find(managed => String(managed.id) === event.currentTarget.dataset.tagId)
+    if (!item || !tag) return
+    
+    const open = item.nextElementSibling?.classList.contains("tag-manager-edit")
+    this.tagManagerListTarget.querySelectorAll(".tag-manager-edit").forEach(panel => panel.remove())
+    if (open) return
+    
+    const others = this.managedTags.filter(managed => managed.id !== tag.id)
+    const panel = document.createElement("div")
+    panel.className = "tag-manager-edit"
+    panel.dataset.tagId = tag.id
+    panel.innerHTML = `
+      <div class="tag-manager-edit-row">
+        <input type="text" class="input tag-manager-emoji" aria-label="Emoji" placeholder="Emoji" maxlength="16" data-tag-edit="emoji">
+        <button type="button" class="btn btn-sm" data-action="click->pomodoro-timer#setTagEmoji">Set emoji</button>
+      </div>
+      <div class="tag-manager-edit-row">
+        <input type="text" class="input" aria-label="New name" data-tag-edit="name" data-action="keydown->pomodoro-timer#handleTagRenameKeydown">
+        <button type="button" class="btn btn-sm" data-action="click->pomodoro-timer#confirmTagRename">Rename</button>
+      </div>
+      ${others.length > 0 ? `
+        <div class="tag-manager-edit-row">
+          <select class="input" aria-label="Merge into" data-tag-edit="merge">
+            <option value="">Merge into…</option>
+            ${others.map(other => `<option value="${other.id}">${this.escapeHtml(other.name)}</option>`).join("")}
+          </select>
+          <button type="button" class="btn btn-sm" data-action="click->pomodoro-timer#confirmTagMerge">Merge</button>
+        </div>
+      ` : ""}
+      <div class="tag-manager-confirm hidden">
+        <p class="tag-manager-confirm-message"></p>
+        <div class="tag-manager-edit-row">
+          <button type="button" class="btn btn-sm btn-primary" data-action="click->pomodoro-timer#applyTagEdit">Confirm</button>
+          <button type="button" class="btn btn-sm" data-action="click->pomodoro-timer#cancelTagEdit">Cancel</button>
+        </div>
+      </div>
+    `
+    item.after(panel)
+    
+    panel.querySelector('[data-tag-edit="emoji"]').value = tag.emoji || ""
+    const nameInput = panel.querySelector('[data-tag-edit="name"]')
+    nameInput.value = tag.name
+    nameInput.focus()
+    nameInput.select()
+  }
+
+  /**
+   * Enter asks to rename, Escape closes the panel
+   */
+  handleTagRenameKeydown(event) {
+    if (event.key === "Enter") {
+      event.preventDefault()
+      this.confirmTagRename(event)
+    } else if (event.key === "Escape") {
+      event.stopPropagation()
+      event.currentTarget.closest(".tag-manager-edit")?.remove()
+    }
+  }
+
+  /**
+   * Ask before renaming; a name another tag already has becomes a merge into it
+   */
+  confirmTagRename(event) {
+    const panel = event.currentTarget.closest(".tag-manager-edit")
+    const tag = this.managedTagFor(panel)
+    const name = panel?.querySelector('[data-tag-edit="name"]').value.trim()
+    if (!tag || !name || name === tag.name) return
+    
+    const existing = this.managedTags.find(managed => managed.id !== tag.id && managed.name.toLowerCase() === name.toLowerCase())
+    if (existing) {
+      this.showTagEditConfirmation(panel, { kind: "merge", tag, into: existing },
+        `"${existing.name}" already exists. Merge "${tag.name}" into it? ${this.pomodoroCountText(tag.pomodoro_count)} will be tagged "${existing.name}" instead.`)
+    } else {
+      this.showTagEditConfirmation(panel, { kind: "rename", tag, name },
+        `Rename "${tag.name}" to "${name}"? ${this.pomodoroCountText(tag.pomodoro_count)} will show the new name.`)
+    }
+  }
+
+  /**
+   * Ask before merging a tag into the one picked
+   */
+  confirmTagMerge(event) {
+    const panel = event.currentTarget.closest(".tag-manager-edit")
+    const tag = this.managedTagFor(panel)
+    const intoId = panel?.querySelector('[data-tag-edit="merge"]').value
+    const into = this.managedTags.find(managed => String(managed.id) === intoId)
+    if (!tag || !into) return
+    
+    this.showTagEditConfirmation(panel, { kind: "merge", tag, into },
+      `Merge "${tag.name}" into "${into.name}"? ${this.pomodoroCountText(tag.pomodoro_count)} will be tagged "${into.name}" instead, and "${tag.name}" will be deleted.`)
+  }
+
+  /**
+   * The tag a rename and merge panel belongs to
+   */
+  managedTagFor(panel) {
+    return panel && this.managedTags.find(managed => String(managed.id) === panel.dataset.tagId)
+  }
+
+  /**
+   * "1 past pomodoro" / "12 past pomodoros"
+   */
+  pomodoroCountText(count) {
+    return `${count} past pomodoro${count !== 1 ? "s" : ""}`
+  }
+
+  /**
+   * Show what a rename or merge will do, with buttons to go ahead or not
+   */
+  showTagEditConfirmation(panel, pendingEdit, message) {
+    this.pendingTagEdit = pendingEdit
+    panel.querySelector(".tag-manager-confirm-message").textContent = message
+    panel.querySelector(".tag-manager-confirm").classList.remove("hidden")
+  }
+
+  /**
+   * Back out of a rename or merge
+   */
+  cancelTagEdit(event) {
+    this.pendingTagEdit = null
+    event.currentTarget.closest(".tag-manager-confirm")?.classList.add("hidden")
+  }
+
+  /**
+   * Rename or merge as confirmed
+   * Past pomodoros follow on the server; the dropdown, selection and stats
+   * update here straight away
+   */
+  async applyTagEdit(event) {
+    const edit = this.pendingTagEdit
+    const panel = event.currentTarget.closest(".tag-manager-edit")
+    if (!edit) return
+    
+    this.pendingTagEdit = null
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    const request = edit.kind === "merge"
+      ? { url: `/tags/${edit.tag.id}/merge`, method: "POST", body: { into_id: edit.into.id } }
+      : { url: `/tags/${edit.tag.id}`, method: "PATCH", body: { name: edit.name } }
+    
+    try {
+      const response = await fetch(request.url, {
+        method: request.method,
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify(request.body)
+      })
+      
+      const data = await response.json()
+      
+      if (response.ok && data.success) {
+        console.log(`[Pomodoro] Tag ${edit.kind === "merge" ? "merged" : "renamed"}:`, data.renamed)
+        this.tagStatisticsValue = data.tag_statistics
+        this.applyTagChanges(data.available_tags, data.renamed)
+        this.updateTagStatsDisplay()
+        this.loadTags()
+      } else {
+        const message = (data.errors || [data.error]).join(", ")
+        console.error("[Pomodoro] Failed to update tag:", message)
+        if (panel) panel.querySelector(".tag-manager-confirm-message").textContent = message
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error updating tag:", error)
+    }
+  }
+
+  /**
+   * Move a tag into the project picked for it, or back to the top level
+   */
+  moveTag(event) {
+    const select = event.currentTarget
+    this.updateTag(select.dataset.tagId, { parent_id: select.value || null })
+  }
+
+  /**
+   * Give a tag the color picked for it
+   */
+  recolorTag(event) {
+    const input = event.currentTarget
+    this.updateTag(input.dataset.tagId, { color: input.value })
+  }
+
+  /**
+   * Give a tag the emoji typed in its panel, or take it away if left blank
+   */
+  setTagEmoji(event) {
+    const panel = event.currentTarget.closest(".tag-manager-edit")
+    const tag = this.managedTagFor(panel)
+    if (!tag) return
+    
+    this.updateTag(tag.id, { emoji: panel.querySelector('[data-tag-edit="emoji"]').value.trim() })
+  }
+
+  /**
+   * Save a change to a tag, then bring the dropdown, chips, badges and stats
+   * (project roll-ups, colors) in line with it
+   * The tag manager is redrawn either way, undoing a change that was refused
+   */
+  async updateTag(tagId, attributes) {
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    
+    try {
+      const response = await fetch(`/tags/${tagId}`, {
+        method: "PATCH",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify(attributes)
+      })
+      
+      const data = await response.json()
+      
+      if (response.ok && data.success) {
+        this.tagStatisticsValue = data.tag_statistics
+        this.applyTagChanges(data.available_tags, data.renamed)
+        this.updateTagStatsDisplay()
+        return
+      }
+      console.error("[Pomodoro] Failed to update tag:", data.errors || data.error)
+    } catch (error) {
+      console.error("[Pomodoro] Error updating tag:", error)
+    }
+    
+    this.loadTags()
+  }
+
+  /**
+   * Add a new tag from the manager modal
+   */
+  async addNewTagFromManager() {
+    if (!this.hasNewTagInputTarget) return
+    
+    const name = this.newTagInputTarget.value.trim()
+    if (!name) return
+    
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    
+    try {
+      const response = await fetch("/tags", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({
+          name,
+          parent_id: this.hasNewTagParentTarget ? (this.newTagParentTarget.value || null) : null
+        })
+      })
+      
+      if (response.ok) {
+        // Clear input
+        this.newTagInputTarget.value = ""
+        
+        // Reload tag list (which also updates the combobox dropdown)
+        this.loadTags()
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error adding tag:", error)
+    }
+  }
+
+  /**
+   * Delete a tag
+   */
+  async deleteTag(event) {
+    event.preventDefault()
+    event.stopPropagation()
+    
+    const button = event.currentTarget
+    const tagId = button.dataset.tagId
+    const tagName = button.dataset.tagName
+    
+    if (!tagId) return
+    
+    // Confirm deletion if tag has pomodoros
+    const itemEl = button.closest(".tag-manager-item")
+    const isProject = this.managedTags.some(tag => String(tag.parent_id) === tagId)
+    
+    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    
+    try {
+      const response = await fetch(`/tags/${tagId}`, {
+        method: "DELETE",
+        headers: {
+          "X-CSRF-Token": csrfToken,
+          "Accept": "application/json"
+        }
+      })
+      
+      if (response.ok) {
+        // Remove from DOM
+        if (itemEl) {
+          if (itemEl.nextElementSibling?.classList.contains("tag-manager-edit")) itemEl.nextElementSibling.remove()
+          itemEl.remove()
+        }
+        
+        // Remove from combobox dropdown
+        this.removeTagFromDropdown(tagName)
+        
+        // Its pomodoros no longer count towards it
+        const data = await response.json()
+        if (data.tag_statistics) {
+          this.tagStatisticsValue = data.tag_statistics
+          this.updateTagStatsDisplay()
+        }
+        
+        // A deleted project's tags move to the top level
+        if (isProject) {
+          this.loadTags()
+        } else if (this.hasTagManagerListTarget) {
+          // Check if list is now empty
+          const remaining = this.tagManagerListTarget.querySelectorAll(".tag-manager-item")
+          if (remaining.length === 0) {
+            this.tagManagerListTarget.innerHTML = `
+              <div class="tag-manager-empty">No tags yet. Add one above!</div>
+            `
+          }
+        }
+      }
+    } catch (error) {
+      console.error("[Pomodoro] Error deleting tag:", error)
+    }
+  }
+
+  /**
+   * Remove a deleted tag from the combobox dropdown and the selection
+   */
+  removeTagFromDropdown(tagName) {
+    if (!this.hasTagDropdownTarget) return
+    
+    const options = this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]")
+    options.forEach(option => {
+      if (option.dataset.tag === tagName) {
+        option.remove()
+      }
+    })
+    this.removeSelectedTag(tagName)
+  }
+
+  /**
+   * Render the pie chart on the canvas
+   */
+  renderPieChart() {
+    // Query canvas directly since it may be dynamically added
+    const canvas = this.hasTagStatsModalTarget 
+      ? this.tagStatsModalTarget.querySelector("canvas")
+      : null
+    
+    if (!canvas) {
+      console.log("[Pomodoro] No canvas found for pie chart")
+      return
+    }
+    
+    // Don't render if modal is hidden (canvas will have 0 dimensions)
+    const rect = canvas.getBoundingClientRect()
+    if (rect.width === 0 || rect.height === 0) {
+      console.log("[Pomodoro] Skipping pie chart render - modal is hidden")
+      return
+    }
+    
+    const stats = this.visibleTagStatistics()
+    const ctx = canvas.getContext("2d")
+    
+    // Get device pixel ratio for crisp rendering
+    const dpr = window.devicePixelRatio || 1
+    
+    // Set canvas size accounting for device pixel ratio
+    canvas.width = rect.width * dpr
+    canvas.height = rect.height * dpr
+    ctx.scale(dpr, dpr)
+    
+    // Clear canvas
+    ctx.clearRect(0, 0, rect.width, rect.height)
+    
+    if (stats.length === 0) {
+      // Draw empty state
+      this.drawEmptyPieChart(ctx, rect.width, rect.height)
+      return
+    }
+    
+    const total = stats.reduce((sum, s) => sum + s.count, 0)
+    const centerX = rect.width / 2
+    const centerY = rect.height / 2
+    const radius = Math.max(0, Math.min(centerX, centerY) - 20) // Ensure radius is never negative
+    
+    let currentAngle = -Math.PI / 2 // Start from top
+    
+    stats.forEach(stat => {
+      const sliceAngle = (stat.count / total) * 2 * Math.PI
+      
+      // Draw slice
+      ctx.beginPath()
+      ctx.moveTo(centerX, centerY)
+      ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle)
+      ctx.closePath()
+      ctx.fillStyle = this.tagStatColor(stat)
+      ctx.fill()
+      
+      // Draw slice border for separation
+      ctx.strokeStyle = "#ffffff"
+      ctx.lineWidth = 2
+      ctx.stroke()
+      
+      currentAngle += sliceAngle
+    })
+    
+    // Draw center circle (donut style)
+    ctx.beginPath()
+    ctx.arc(centerX, centerY, radius * 0.5, 0, 2 * Math.PI)
+    ctx.fillStyle = "#ffffff"
+    ctx.fill()
+    
+    // Draw total in center
+    ctx.fillStyle = "#1a1a2e"
+    ctx.font = "bold 24px system-ui, -apple-system, sans-serif"
+    ctx.textAlign = "center"
+    ctx.textBaseline = "middle"
+    ctx.fillText(total.toString(), centerX, centerY - 8)
+    
+    ctx.font = "14px system-ui, -apple-system, sans-serif"
+    ctx.fillStyle = "#6b7280"
+    ctx.fillText("pomodoros", centerX, centerY + 14)
+  }
+
+  /**
+   * Draw an empty state pie chart
+   */
+  drawEmptyPieChart(ctx, width, height) {
+    const centerX = width / 2
+    const centerY = height / 2
+    const radius = Math.min(centerX, centerY) - 20
+    
+    // Draw empty circle
+    ctx.beginPath()
+    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI)
+    ctx.fillStyle = "#e5e7eb"
+    ctx.fill()
+    
+    // Draw center circle
+    ctx.beginPath()
+    ctx.arc(centerX, centerY, radius * 0.5, 0, 2 * Math.PI)
+    ctx.fillStyle = "#ffffff"
+    ctx.fill()
+    
+    // Draw text
+    ctx.fillStyle = "#9ca3af"
+    ctx.font = "14px system-ui, -apple-system, sans-serif"
+    ctx.textAlign = "center"
+    ctx.textBaseline = "middle"
+    ctx.fillText("No data", centerX, centerY)
+  }
+
+  // ===========================================
+  // Keyboard Shortcuts
+  // ===========================================
+
+  /**
+   * Run the timer action bound to the pressed key (see UserSetting::SHORTCUT_DEFAULTS)
+   * Ignored while typing in a text field, with Ctrl/Cmd/Alt held, or while
+   * another dialog is open
+   */
+  handleShortcutKeydown(event) {
+    // Ctrl/Cmd+K works anywhere, even while typing
+    if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === "k") {
+      event.preventDefault()
+      this.isPaletteOpen() ? this.closePalette() : this.openPalette()
+      return
+    }
+    
+    if (this.isShortcutsOpen() && event.key === "Escape") {
+      event.preventDefault()
+      this.closeShortcuts()
+      return
+    }
+    
+    if (event.ctrlKey || event.metaKey || event.altKey || event.repeat) return
+    
+    const target = event.target
+    if (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName)) return
+    
+    const action = this.shortcutActionFor(event.key)
+    if (!action) return
+    
+    // Other dialogs have their own keys; only the shortcut list toggles itself
+    if (this.element.querySelector(".modal:not(.hidden)") && !(action === "help" && this.isShortcutsOpen())) return
+    
+    // Also keeps Space from clicking a focused button or scrolling the page
+    event.preventDefault()
+    console.log("[Pomodoro] Shortcut:", action)
+    this.runShortcut(action)
+  }
+
+  /**
+   * The action bound to a key, or undefined
+   */
+  shortcutActionFor(key) {
+    const name = key === " " ? "Space" : (key.length === 1 ? key.toLowerCase() : key)
+    return Object.keys(this.shortcutsValue).find(action => this.shortcutsValue[action] === name)
+  }
+
+  /**
+   * Perform a shortcut action
+   */
+  runShortcut(action) {
+    switch (action) {
+      case "start_stop":
+        this.startOrStop()
+        break
+      case "pause":
+        this.togglePause()
+        break
+      case "break_1":
+      case "break_2":
+      case "break_3":
+        this.selectBreakOption(parseInt(action.slice(-1), 10) - 1)
+        break
+      case "focus_description":
+        if (this.hasDescriptionTarget) this.descriptionTarget.focus()
+        break
+      case "focus_tags":
+        if (this.hasTagInputTarget) this.tagInputTarget.focus()
+        break
+      case "internal_interruption":
+        this.markInternalInterruption()
+        break
+      case "external_interruption":
+        this.markExternalInterruption()
+        break
+      case "tag_stats":
+        this.openTagStats()
+        break
+      case "help":
+        this.isShortcutsOpen() ? this.closeShortcuts() : this.openShortcuts()
+        break
+    }
+  }
+
+  /**
+   * Start when ready; otherwise stop focusing, finish overtime or end the break
+   */
+  startOrStop() {
+    switch (this.engine.state) {
+      case "ready":
+        this.start()
+        break
+      case "pomodoro_running":
+      case "paused":
+        this.stop()
+        break
+      case "overtime":
+        this.finishOvertime()
+        break
+      case "break_running":
+        this.endBreakEarly()
+        break
+    }
+  }
+
+  /**
+   * Switch the running break to the nth break length offered (0-based)
+   */
+  selectBreakOption(index) {
+    const toggle = this.breakToggleTargets[index]
+    if (!toggle) return
+    
+    this.changeBreakDuration(parseInt(toggle.dataset.duration, 10))
+  }
+
+  /**
+   * Show the list of keyboard shortcuts
+   */
+  openShortcuts() {
+    if (!this.hasShortcutsModalTarget) return
+    
+    this.shortcutsModalTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
+  }
+
+  /**
+   * Close the keyboard shortcuts list
+   */
+  closeShortcuts() {
+    if (!this.hasShortcutsModalTarget) return
+    
+    this.shortcutsModalTarget.classList.add("hidden")
+    document.body.style.overflow = ""
+  }
+
+  isShortcutsOpen() {
+    return this.hasShortcutsModalTarget && !this.shortcutsModalTarget.classList.contains("hidden")
+  }
+
+  /**
+   * Handle clicks on the shortcuts modal overlay
+   */
+  handleShortcutsModalClick(event) {
+    if (event.target === this.shortcutsModalTarget) {
+      this.closeShortcuts()
+    }
+  }
+
+  // ===========================================
+  // Command Palette
+  // ===========================================
+
+  /**
+   * Open the command palette with an empty search
+   */
+  openPalette() {
+    if (!this.hasPaletteModalTarget || this.element.querySelector(".modal:not(.hidden)")) return
+    
+    this.closeTagDropdown()
+    this.paletteInputTarget.value = ""
+    this.paletteModalTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
+    this.filterPalette()
+    this.paletteInputTarget.focus()
+  }
+
+  /**
+   * Close the command palette
+   */
+  closePalette() {
+    if (!this.hasPaletteModalTarget) return
+    
+    this.paletteModalTarget.classList.add("hidden")
+    document.body.style.overflow = ""
+  }
+
+  isPaletteOpen() {
+    return this.hasPaletteModalTarget && !this.paletteModalTarget.classList.contains("hidden")
+  }
+
+  /**
+   * Handle clicks on the palette overlay
+   */
+  handlePaletteModalClick(event) {
+    if (event.target === this.paletteModalTarget) {
+      this.closePalette()
+    }
+  }
+
+  /**
+   * Arrow keys move through the results, Enter runs one, Escape closes
+   */
+  handlePaletteKeydown(event) {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault()
+      const step = event.key === "ArrowDown" ? 1 : -1
+      const count = this.paletteItems.length
+      if (count > 0) this.highlightPaletteItem((this.paletteIndex + step + count) % count)
+    } else if (event.key === "Enter") {
+      event.preventDefault()
+      this.runPaletteItem(this.paletteIndex)
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      this.closePalette()
+    }
+  }
+
+  /**
+   * Run the clicked result
+   */
+  selectPaletteItem(event) {
+    this.runPaletteItem(parseInt(event.currentTarget.dataset.index, 10))
+  }
+
+  /**
+   * Search everything for the typed text and show the best results
+   * A trailing "#tag" picks the tag to start with
+   */
+  filterPalette() {
+    const { text, tagQuery } = this.parsePaletteQuery(this.paletteInputTarget.value)
+    const tag = tagQuery === null ? null : this.resolvePaletteTag(tagQuery)
+    const items = []
+    
+    const typedTags = tag ? [tag] : []
+    
+    // Text plus a tag: offer to start with exactly what was typed
+    if (text && tag && this.engine.state === "ready") {
+      items.push({ kind: "Start", label: text, tags: typedTags, run: () => this.startFromPalette(text, typedTags) })
+    }
+    
+    const tasks = fuzzyFilter(text, this.tasks, task => task.title || "")
+      .map(task => ({ kind: "Task", label: task.title, tags: typedTags, run: () => this.startFromPalette(task.title, typedTags) }))
+    
+    const recents = fuzzyFilter(text, this.recentDescriptions, recent => recent.description)
+      .map(recent => {
+        const recentTags = tag ? typedTags : (recent.tags || [])
+        return { kind: "Recent", label: recent.description, tags: recentTags, run: () => this.startFromPalette(recent.description, recentTags) }
+      })
+    
+    // Tags and actions are only searched when no #tag was typed
+    const tags = tagQuery === null
+      ? fuzzyFilter(text, this.availableTags()).map(name => ({ kind: "Tag", label: name, run: () => this.applyTag(name) }))
+      : []
+    const actions = tagQuery === null ? fuzzyFilter(text, this.paletteActions(), action => action.label) : []
+    
+    // With nothing typed, lead with what can be done right now
+    const groups = text ? [tasks, recents, tags, actions] : [actions, tasks, recents, tags]
+    groups.forEach(group => items.push(...group.slice(0, 6)))
+    
+    this.paletteItems = items
+    this.renderPaletteItems()
+  }
+
+  /**
+   * Split "Write report #work" into its text and tag query
+   * tagQuery is null without a #, and "" for a bare #
+   */
+  parsePaletteQuery(query) {
+    const match = query.match(/^(.*?)(?:^|\s)#(\S*)\s*$/)
+    if (!match) return { text: query.trim(), tagQuery: null }
+    
+    return { text: match[1].trim(), tagQuery: match[2] }
+  }
+
+  /**
+   * The existing tag a #query refers to, or the typed name as a new tag
+   */
+  resolvePaletteTag(tagQuery) {
+    if (!tagQuery) return null
+    
+    const tags = this.availableTags()
+    return tags.find(tag => tag.toLowerCase() === tagQuery.toLowerCase()) ||
+      fuzzyFilter(tagQuery, tags)[0] ||
+      tagQuery
+  }
+
+  /**
+   * Tag names offered in the tag combobox
+   */
+  availableTags() {
+    if (!this.hasTagDropdownTarget) return []
+    
+    return Array.from(this.tagDropdownTarget.querySelectorAll(".combobox-option[data-tag]"))
+      .map(option => option.dataset.tag)
+  }
+
+  /**
+   * Timer actions that make sense in the current state
+   */
+  paletteActions() {
+    const actions = []
+    const add = (label, run) => actions.push({ kind: "Action", label, run })
+    
+    switch (this.engine.state) {
+      case "ready":
+        add("Start pomodoro", () => this.start())
+        break
+      case "pomodoro_running":
+        add("Pause", () => this.pause())
+        add("Stop pomodoro", () => this.stop())
+        break
+      case "paused":
+        add("Resume", () => this.resume())
+        add("Stop pomodoro", () => this.stop())
+        break
+      case "overtime":
+        add("Finish pomodoro", () => this.finishOvertime())
+        break
+      case "break_running":
+        this.breakToggleTargets.forEach(toggle => {
+          const minutes = parseInt(toggle.dataset.duration, 10)
+          add(`Set ${minutes}-min break`, () => this.changeBreakDuration(minutes))
+        })
+        add("End break", () => this.endBreakEarly())
+        break
+    }
+    
+    add("Open stats", () => this.openTagStats())
+    add("Manage tags", () => this.openTagManager())
+    add("Show keyboard shortcuts", () => this.openShortcuts())
+    
+    return actions
+  }
+
+  /**
+   * Show the matching items, highlighting the first
+   */
+  renderPaletteItems() {
+    if (this.paletteItems.length === 0) {
+      this.paletteResultsTarget.innerHTML = `<li class="palette-empty">No matches</li>`
+      return
+    }
+    
+    this.paletteResultsTarget.innerHTML = this.paletteItems.map((item, index) => `
+      <li class="palette-item" role="option" data-index="${index}" data-action="click->pomodoro-timer#selectPaletteItem">
+        <span class="palette-item-kind">${item.kind}</span>
+        <span class="palette-item-label">${this.escapeHtml(item.label)}</span>
+        ${(item.tags || []).map(tag => `<span class="palette-item-tag">#${this.escapeHtml(tag)}</span>`).join("")}
+      </li>
+    `).join("")
+    
+    this.highlightPaletteItem(0)
+  }
+
+  /**
+   * Mark one result as the one Enter runs
+   */
+  highlightPaletteItem(index) {
+    this.paletteIndex = index
+    this.paletteResultsTarget.querySelectorAll(".palette-item").forEach((element, i) => {
+      element.classList.toggle("active", i === index)
+      element.setAttribute("aria-selected", i === index)
+      if (i === index) element.scrollIntoView({ block: "nearest" })
+    })
+  }
+
+  /**
+   * Close the palette, then run the item (which may open another modal)
+   */
+  runPaletteItem(index) {
+    const item = this.paletteItems[index]
+    if (!item) return
+    
+    this.closePalette()
+    item.run()
+  }
+
+  /**
+   * Fill in the description and tags, and start right away if the timer is ready
+   * While a session is already under way this just relabels it
+   */
+  startFromPalette(description, tags) {
+    if (this.hasDescriptionTarget) {
+      this.descriptionTarget.value = description
+    }
+    if (tags.length > 0) {
+      this.setSelectedTags([])
+      tags.forEach(tag => this.applyTag(tag))
+    }
+    
+    if (this.engine.state === "ready") {
+      this.start()
+    } else {
+      this.updateActiveTitle()
+    }
+  }
+
+  /**
+   * Add a tag to the combobox selection, creating it if it's new
+   */
+  applyTag(tag) {
+    this.addSelectedTag(tag)
+    if (!this.availableTags().some(name => name.toLowerCase() === tag.toLowerCase())) {
+      this.saveTagToDatabase(tag)
+    }
+  }
+
+  /**
+   * Move the description being started to the front of the recent list
+   */
+  rememberDescription() {
+    const description = this.hasDescriptionTarget ? this.descriptionTarget.value.trim() : ""
+    if (!description) return
+    
+    this.recentDescriptions = [
+      { description, tags: this.getSelectedTags() },
+      ...this.recentDescriptions.filter(recent => recent.description.toLowerCase() !== description.toLowerCase())
+    ]
+  }
+
+  // ===========================================
+  // Idle Detection
+  // ===========================================
+
+  /**
+   * Record mouse, keyboard or touch activity (here or in another tab)
+   * Ends a stretch of idle time that's waiting for an answer
+   */
+  noteActivity() {
+    const now = Date.now()
+    // The end of the time away is saved, for a reload to ask about the same stretch
+    if (this.recordActivity(now)) this.persistTimerState()
+    
+    if (now - this.lastActivityBroadcastAt >= this.constructor.ACTIVITY_BROADCAST_INTERVAL) {
+      this.lastActivityBroadcastAt = now
+      this.broadcast({ type: "activity", at: now })
+    }
+  }
+
+  /**
+   * Returns true if this activity ended the time away being asked about
+   */
+  recordActivity(at) {
+    this.lastActivityAt = Math.max(this.lastActivityAt, at)
+    
+    if (this.idleSince && !this.idleEndedAt && at > this.idleSince) {
+      this.idleEndedAt = at
+      this.updateIdlePrompt()
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Ask for permission to use the Idle Detection API (needs a user gesture)
+   * and start watching for the system going idle or the screen locking
+   */
+  async startIdleDetector() {
+    if (!("IdleDetector" in window) || this.idleDetector || this.idleThreshold === 0) return
+    
+    try {
+      if (await window.IdleDetector.requestPermission() !== "granted") return
+      
+      const detector = new window.IdleDetector()
+      this.idleDetectorAbort = new AbortController()
+      detector.addEventListener("change", () => this.handleIdleChange(detector))
+      // The API won't report idleness shorter than a minute
+      await detector.start({ threshold: Math.max(60 * 1000, this.idleThreshold), signal: this.idleDetectorAbort.signal })
+      this.idleDetector = detector
+    } catch (error) {
+      console.warn("[Pomodoro] Idle detection unavailable:", error.message)
+    }
+  }
+
+  /**
+   * Start the idle detector on load if permission was granted before
+   */
+  async resumeIdleDetector() {
+    if (!("IdleDetector" in window) || this.idleThreshold === 0) return
+    
+    try {
+      const status = await navigator.permissions.query({ name: "idle-detection" })
+      if (status.state === "granted") this.startIdleDetector()
+    } catch (error) {
+      // Permission can't be queried; wait for the next start() to ask
     }
   }
 
   /**
-   * Delete a tag
+   * The system went idle, the screen locked, or the user came back
    */
-  async deleteTag(event) {
-    event.preventDefault()
-    event.stopPropagation()
+  handleIdleChange(detector) {
+    this.systemIdle = detector.userState === "idle" || detector.screenState === "locked"
     
-    const button = event.currentTarget
-    const tagId = button.dataset.tagId
-    const tagName = button.dataset.tagName
+    if (this.systemIdle) {
+      // The detector reports idleness only after its threshold has passed
+      this.lastActivityAt = Math.min(this.lastActivityAt, Date.now() - Math.max(60 * 1000, this.idleThreshold))
+      this.checkIdle()
+    } else {
+      this.noteActivity()
+    }
+  }
+
+  /**
+   * Prompt once the user has been away for the idle threshold during focus
+   * With the Idle Detection API, idleness is system-wide; without it, only a
+   * visible tab can tell, since time in other apps isn't time away
+   * Any tab can notice (activity in other tabs counts too); the time away is
+   * saved with the timer state, so every tab asks and a reload asks again
+   */
+  checkIdle() {
+    if (this.idleThreshold === 0 || this.idleSince) return
+    if (this.engine.state !== "pomodoro_running" && this.engine.state !== "overtime") return
+    
+    const inactiveFor = Date.now() - this.lastActivityAt
+    const away = this.idleDetector ? this.systemIdle : document.visibilityState === "visible"
+    
+    if (away && inactiveFor >= this.idleThreshold) {
+      // Away since the last activity, or since the session started if that's later
+      this.idleSince = Math.max(this.lastActivityAt, this.engine.pomodoroStartedAt?.getTime() || 0)
+      this.idleEndedAt = null
+      console.log("[Pomodoro] No activity since", new Date(this.idleSince).toLocaleTimeString())
+      this.persistTimerState()
+      this.showIdlePrompt()
+    }
+  }
+
+  /**
+   * Keep waiting on (or stop waiting on) an answer about time away, as saved
+   * with the timer state by this tab before a reload or by another tab
+   */
+  applyIdleState(saved) {
+    if (saved.idleSince && (this.engine.state === "pomodoro_running" || this.engine.state === "overtime")) {
+      this.idleSince = saved.idleSince
+      this.idleEndedAt = saved.idleEndedAt || null
+      this.showIdlePrompt()
+    } else if (this.idleSince) {
+      this.clearIdlePrompt()
+    }
+  }
+
+  /**
+   * Ask whether the time away counts
+   */
+  showIdlePrompt() {
+    if (!this.hasIdleModalTarget) return
     
-    if (!tagId) return
+    this.updateIdlePrompt()
+    this.idleModalTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
+  }
+
+  /**
+   * Describe the time away, e.g. "No activity from 10:32 to 10:47 (15 min)."
+   */
+  updateIdlePrompt() {
+    if (!this.hasIdleMessageTarget || !this.idleSince) return
     
-    // Confirm deletion if tag has pomodoros
-    const itemEl = button.closest(".tag-manager-item")
+    const formatTime = ms => new Date(ms).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+    const minutes = Math.max(1, Math.round(this.idleMilliseconds() / 60000))
+    const range = this.idleEndedAt
+      ? `from ${formatTime(this.idleSince)} to ${formatTime(this.idleEndedAt)}`
+      : `since ${formatTime(this.idleSince)}`
     
-    const csrfToken = document.querySelector('meta[name="csrf-token"]')?.content
+    this.idleMessageTarget.textContent = `No activity ${range} (${minutes} min). Count that time as focus?`
+  }
+
+  /**
+   * Length of the time away, up to now if the user hasn't been back yet
+   */
+  idleMilliseconds() {
+    return (this.idleEndedAt || Date.now()) - this.idleSince
+  }
+
+  /**
+   * Close the prompt and forget the time away
+   */
+  clearIdlePrompt() {
+    this.idleSince = null
+    this.idleEndedAt = null
     
-    try {
-      const response = await fetch(`/tags/${tagId}`, {
-        method: "DELETE",
-        headers: {
-          "X-CSRF-Token": csrfToken,
-          "Accept": "application/json"
-        }
-      })
-      
-      if (response.ok) {
-        // Remove from DOM
-        if (itemEl) {
-          itemEl.remove()
-        }
-        
-        // Remove from combobox dropdown
-        this.removeTagFromDropdown(tagName)
-        
-        // Check if list is now empty
-        if (this.hasTagManagerListTarget) {
-          const remaining = this.tagManagerListTarget.querySelectorAll(".tag-manager-item")
-          if (remaining.length === 0) {
-            this.tagManagerListTarget.innerHTML = `
-              <div class="tag-manager-empty">No tags yet. Add one above!</div>
-            `
-          }
-        }
-      }
-    } catch (error) {
-      console.error("[Pomodoro] Error deleting tag:", error)
+    if (this.hasIdleModalTarget && !this.idleModalTarget.classList.contains("hidden")) {
+      this.idleModalTarget.classList.add("hidden")
+      document.body.style.overflow = ""
     }
   }
 
   /**
-   * Remove a tag from the combobox dropdown
+   * The time away was focus after all
+   * Finishes the phase if it ran out while the prompt was waiting
    */
-  removeTagFromDropdown(tagName) {
-    if (!this.hasTagDropdownTarget) return
+  keepIdleTime() {
+    if (this.forwardIdleAnswer("keep")) return
     
-    const options = this.tagDropdownTarget.querySelectorAll(".combobox-option")
-    options.forEach(option => {
-      if (option.dataset.tag === tagName) {
-        option.remove()
-      }
-    })
+    const waiting = this.idleSince && !this.engine.ticking
+    this.clearIdlePrompt()
+    
+    if (waiting && this.engine.phaseEndsAt) {
+      this.endPhase(new Date(this.engine.phaseEndsAt))
+    } else {
+      // Stop the other tabs asking
+      this.persistTimerState()
+    }
   }
 
   /**
-   * Apply colors to legend items based on their index
+   * Save the session as ending when the user went idle
    */
-  applyLegendColors() {
-    // Query legend directly since it may be dynamically added
-    const legend = this.hasTagStatsModalTarget 
-      ? this.tagStatsModalTarget.querySelector(".legend")
-      : null
+  trimIdleTime() {
+    if (!this.idleSince || this.forwardIdleAnswer("trim")) return
     
-    if (!legend) return
+    const endedAt = new Date(this.idleSince)
+    this.clearIdlePrompt()
+    if (this.engine.state !== "pomodoro_running" && this.engine.state !== "overtime") return
     
-    const colorDots = legend.querySelectorAll(".legend-dot")
-    colorDots.forEach((dot, index) => {
-      const colorIndex = index % this.constructor.PIE_COLORS.length
-      dot.style.backgroundColor = this.constructor.PIE_COLORS[colorIndex]
-    })
+    console.log("[Pomodoro] Ending session at", endedAt.toLocaleTimeString(), "when activity stopped")
+    this.engine.stopTicking()
+    this.completePomodoro(endedAt)
   }
 
   /**
-   * Render the pie chart on the canvas
+   * Leave the time away out of the session, as if it had been paused
+   * The end moves back by the same amount, so the full focus length is still done
    */
-  renderPieChart() {
-    // Query canvas directly since it may be dynamically added
-    const canvas = this.hasTagStatsModalTarget 
-      ? this.tagStatsModalTarget.querySelector("canvas")
-      : null
+  discardIdleTime() {
+    if (!this.idleSince || this.forwardIdleAnswer("discard")) return
     
-    if (!canvas) {
-      console.log("[Pomodoro] No canvas found for pie chart")
+    const idleMs = this.idleMilliseconds()
+    this.clearIdlePrompt()
+    if (this.engine.state !== "pomodoro_running" && this.engine.state !== "overtime") return
+    
+    console.log("[Pomodoro] Discarding", Math.round(idleMs / 1000), "seconds away")
+    this.engine.excludeTime(idleMs)
+    this.lastActivityAt = Date.now()
+    
+    this.persistTimerState()
+    this.syncServerSession()
+    this.engine.startTicking()
+    this.engine.tick()
+  }
+
+  /**
+   * Send an answer given in a follower tab to the leader, the only tab that
+   * saves; it persists the outcome, which closes the prompt everywhere
+   * Returns false when this tab should act on the answer itself
+   */
+  forwardIdleAnswer(answer) {
+    if (this.isLeader || !this.syncChannel || !this.idleSince) return false
+    
+    this.broadcast({ type: "idle_answer", answer, idleSince: this.idleSince, idleEndedAt: this.idleEndedAt })
+    this.clearIdlePrompt()
+    return true
+  }
+
+  /**
+   * Act on an answer to the idle prompt given in another tab
+   * Takes that tab's time away, in case this one hasn't heard of it yet
+   */
+  applyIdleAnswer({ answer, idleSince, idleEndedAt }) {
+    if (this.engine.state !== "pomodoro_running" && this.engine.state !== "overtime") return
+    
+    this.idleSince = idleSince
+    this.idleEndedAt = idleEndedAt || null
+    
+    switch (answer) {
+      case "keep":
+        this.keepIdleTime()
+        break
+      case "trim":
+        this.trimIdleTime()
+        break
+      case "discard":
+        this.discardIdleTime()
+        break
+    }
+  }
+
+  // ===========================================
+  // Mini Timer
+  // ===========================================
+
+  /**
+   * Open a small always-on-top timer window
+   * Uses Document Picture-in-Picture where available (stays above other
+   * apps), otherwise a popup window
+   */
+  async openMiniTimer() {
+    if (this.miniWindow && !this.miniWindow.closed) {
+      this.miniWindow.focus()
       return
     }
     
-    // Don't render if modal is hidden (canvas will have 0 dimensions)
-    const rect = canvas.getBoundingClientRect()
-    if (rect.width === 0 || rect.height === 0) {
-      console.log("[Pomodoro] Skipping pie chart render - modal is hidden")
-      return
+    const width = 260
+    const height = 190
+    let miniWindow = null
+    
+    if ("documentPictureInPicture" in window) {
+      try {
+        miniWindow = await window.documentPictureInPicture.requestWindow({ width, height })
+      } catch (error) {
+        console.warn("[Pomodoro] Picture-in-Picture unavailable:", error.message)
+      }
     }
+    miniWindow ||= window.open("", "pomodoro_mini_timer", `popup,width=${width},height=${height}`)
     
-    const stats = this.tagStatisticsValue || []
-    const ctx = canvas.getContext("2d")
+    if (!miniWindow) {
+      console.warn("[Pomodoro] Mini timer blocked by the browser")
+      return
+    }
     
-    // Get device pixel ratio for crisp rendering
-    const dpr = window.devicePixelRatio || 1
+    this.miniWindow = miniWindow
+    this.renderMiniTimer()
+    miniWindow.addEventListener("pagehide", () => {
+      if (this.miniWindow === miniWindow) this.miniWindow = null
+    })
+  }
+
+  /**
+   * Close the mini timer window, if open
+   */
+  closeMiniTimer() {
+    this.miniWindow?.close()
+    this.miniWindow = null
+  }
+
+  /**
+   * Build the mini timer in its window, styled by the app's stylesheets
+   * Its buttons call straight back into this controller
+   */
+  renderMiniTimer() {
+    const doc = this.miniWindow.document
+    doc.title = "Pomodoro"
+    doc.head.querySelectorAll("link[rel=stylesheet]").forEach(link => link.remove())
+    
+    document.querySelectorAll('link[rel="stylesheet"]').forEach(link => {
+      const copy = doc.createElement("link")
+      copy.rel = "stylesheet"
+      copy.href = link.href
+      doc.head.appendChild(copy)
+    })
     
-    // Set canvas size accounting for device pixel ratio
-    canvas.width = rect.width * dpr
-    canvas.height = rect.height * dpr
-    ctx.scale(dpr, dpr)
+    doc.body.innerHTML = `
+      <div class="mini-timer">
+        <div class="mini-timer-phase" data-mini="phase"></div>
+        <div class="mini-timer-time" data-mini="time"></div>
+        <div class="mini-timer-description" data-mini="description"></div>
+        <div class="mini-timer-actions">
+          <button class="btn btn-primary btn-sm" data-mini-action="start">Start</button>
+          <button class="btn btn-secondary btn-sm" data-mini-action="pause">Pause</button>
+          <button class="btn btn-primary btn-sm" data-mini-action="resume">Resume</button>
+          <button class="btn btn-secondary btn-sm" data-mini-action="stop">Stop</button>
+          <button class="btn btn-primary btn-sm" data-mini-action="finishOvertime">Finish</button>
+          <button class="btn btn-primary btn-sm" data-mini-action="endBreakEarly">End break</button>
+        </div>
+      </div>
+    `
     
-    // Clear canvas
-    ctx.clearRect(0, 0, rect.width, rect.height)
+    doc.querySelectorAll("[data-mini-action]").forEach(button => {
+      button.addEventListener("click", () => this[button.dataset.miniAction]())
+    })
     
-    if (stats.length === 0) {
-      // Draw empty state
-      this.drawEmptyPieChart(ctx, rect.width, rect.height)
+    this.updateMiniTimer()
+  }
+
+  /**
+   * Mirror the countdown, phase, description and controls in the mini timer
+   * Called on every tick and state change
+   */
+  updateMiniTimer() {
+    if (!this.miniWindow) return
+    if (this.miniWindow.closed) {
+      this.miniWindow = null
       return
     }
     
-    const total = stats.reduce((sum, s) => sum + s.count, 0)
-    const centerX = rect.width / 2
-    const centerY = rect.height / 2
-    const radius = Math.max(0, Math.min(centerX, centerY) - 20) // Ensure radius is never negative
-    
-    let currentAngle = -Math.PI / 2 // Start from top
-    
-    stats.forEach((stat, index) => {
-      const sliceAngle = (stat.count / total) * 2 * Math.PI
-      const colorIndex = index % this.constructor.PIE_COLORS.length
-      
-      // Draw slice
-      ctx.beginPath()
-      ctx.moveTo(centerX, centerY)
-      ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle)
-      ctx.closePath()
-      ctx.fillStyle = this.constructor.PIE_COLORS[colorIndex]
-      ctx.fill()
-      
-      // Draw slice border for separation
-      ctx.strokeStyle = "#ffffff"
-      ctx.lineWidth = 2
-      ctx.stroke()
-      
-      currentAngle += sliceAngle
+    const doc = this.miniWindow.document
+    const root = doc.querySelector(".mini-timer")
+    if (!root) return
+    
+    root.dataset.state = this.hasContainerTarget ? this.containerTarget.dataset.state : "ready"
+    doc.querySelector('[data-mini="time"]').textContent = this.timerTarget.textContent
+    doc.querySelector('[data-mini="phase"]').textContent = this.hasStatusTarget ? this.statusTarget.textContent : ""
+    
+    const description = this.isFocusActive() && this.hasDescriptionTarget ? this.descriptionTarget.value.trim() : ""
+    const descriptionElement = doc.querySelector('[data-mini="description"]')
+    descriptionElement.textContent = description
+    descriptionElement.classList.toggle("hidden", !description)
+    
+    const visibleActions = {
+      ready: ["start"],
+      pomodoro_running: ["pause", "stop"],
+      paused: ["resume", "stop"],
+      overtime: ["finishOvertime"],
+      break_running: ["endBreakEarly"]
+    }[this.engine.state] || []
+    
+    doc.querySelectorAll("[data-mini-action]").forEach(button => {
+      button.classList.toggle("hidden", !visibleActions.includes(button.dataset.miniAction))
     })
+  }
+
+  // ===========================================
+  // Abandon Pomodoro Modal
+  // ===========================================
+
+  /**
+   * Ask why the pomodoro was stopped before recording it as abandoned
+   */
+  showAbandonPrompt() {
+    if (!this.hasAbandonModalTarget) {
+      this.recordAbandonedPomodoro()
+      return
+    }
     
-    // Draw center circle (donut style)
-    ctx.beginPath()
-    ctx.arc(centerX, centerY, radius * 0.5, 0, 2 * Math.PI)
-    ctx.fillStyle = "#ffffff"
-    ctx.fill()
+    if (this.hasAbandonReasonInputTarget) {
+      this.abandonReasonInputTarget.value = ""
+    }
     
-    // Draw total in center
-    ctx.fillStyle = "#1a1a2e"
-    ctx.font = "bold 24px system-ui, -apple-system, sans-serif"
-    ctx.textAlign = "center"
-    ctx.textBaseline = "middle"
-    ctx.fillText(total.toString(), centerX, centerY - 8)
+    this.abandonModalTarget.classList.remove("hidden")
+    document.body.style.overflow = "hidden"
     
-    ctx.font = "14px system-ui, -apple-system, sans-serif"
-    ctx.fillStyle = "#6b7280"
-    ctx.fillText("pomodoros", centerX, centerY + 14)
+    // Focus the input after a brief delay for animation
+    setTimeout(() => {
+      if (this.hasAbandonReasonInputTarget) {
+        this.abandonReasonInputTarget.focus()
+      }
+    }, 100)
   }
 
   /**
-   * Draw an empty state pie chart
+   * Close the abandon modal and record the pomodoro (with or without a reason)
    */
-  drawEmptyPieChart(ctx, width, height) {
-    const centerX = width / 2
-    const centerY = height / 2
-    const radius = Math.min(centerX, centerY) - 20
+  closeAbandonPrompt() {
+    if (this.hasAbandonModalTarget) {
+      this.abandonModalTarget.classList.add("hidden")
+      document.body.style.overflow = ""
+    }
     
-    // Draw empty circle
-    ctx.beginPath()
-    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI)
-    ctx.fillStyle = "#e5e7eb"
-    ctx.fill()
+    this.recordAbandonedPomodoro()
+  }
+
+  /**
+   * Record the abandoned pomodoro with the reason typed in the modal
+   */
+  submitAbandon() {
+    const reason = this.hasAbandonReasonInputTarget ? this.abandonReasonInputTarget.value.trim() : ""
     
-    // Draw center circle
-    ctx.beginPath()
-    ctx.arc(centerX, centerY, radius * 0.5, 0, 2 * Math.PI)
-    ctx.fillStyle = "#ffffff"
-    ctx.fill()
+    if (this.pendingAbandonedPomodoro && reason) {
+      this.pendingAbandonedPomodoro.abandon_reason = reason
+    }
     
-    // Draw text
-    ctx.fillStyle = "#9ca3af"
-    ctx.font = "14px system-ui, -apple-system, sans-serif"
-    ctx.textAlign = "center"
-    ctx.textBaseline = "middle"
-    ctx.fillText("No data", centerX, centerY)
+    this.closeAbandonPrompt()
+  }
+
+  /**
+   * Record the abandoned pomodoro without a reason
+   */
+  skipAbandon() {
+    this.closeAbandonPrompt()
+  }
+
+  /**
+   * Handle clicks on the abandon modal overlay
+   */
+  handleAbandonModalClick(event) {
+    if (event.target === this.abandonModalTarget) {
+      this.closeAbandonPrompt()
+    }
+  }
+
+  /**
+   * Handle keys in the abandon reason input (Enter to submit, Escape to skip)
+   */
+  handleAbandonKeydown(event) {
+    if (event.key === "Enter") {
+      event.preventDefault()
+      this.submitAbandon()
+    } else if (event.key === "Escape") {
+      event.preventDefault()
+      this.skipAbandon()
+    }
+  }
+
+  /**
+   * Send the pending abandoned pomodoro to the server (at most once)
+   */
+  recordAbandonedPomodoro() {
+    const pomodoro = this.pendingAbandonedPomodoro
+    this.pendingAbandonedPomodoro = null
+    
+    if (pomodoro) {
+      this.saveAbandonedPomodoro(pomodoro)
+    }
   }
 
   // ===========================================
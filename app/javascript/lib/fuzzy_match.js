@@ -0,0 +1,63 @@
+/**
+ * Fuzzy Match
+ *
+ * Scores how well a typed query matches a piece of text, the way command
+ * palettes do: the query's characters must appear in order, and matches that
+ * are consecutive or start a word rank higher. "wrp" matches "Write report".
+ */
+
+/**
+ * Score a query against text (case-insensitive)
+ * Returns null if the text doesn't contain the query's characters in order;
+ * otherwise a number, higher for better matches. An empty query scores 0.
+ */
+export function fuzzyScore(query, text) {
+  const needle = query.trim().toLowerCase()
+  const haystack = text.toLowerCase()
+  if (!needle) return 0
+
+  // A plain substring beats any scattered match, earlier is better
+  const substringAt = haystack.indexOf(needle)
+  if (substringAt !== -1) {
+    return 1000 - substringAt + (isWordStart(haystack, substringAt) ? 100 : 0)
+  }
+
+  let score = 0
+  let position = -1
+  let previous = -2
+
+  for (const character of needle) {
+    if (character === " ") continue
+
+    position = haystack.indexOf(character, position + 1)
+    if (position === -1) return null
+
+    if (position === previous + 1) {
+      score += 5
+    } else if (isWordStart(haystack, position)) {
+      score += 3
+    } else {
+      score -= 1
+    }
+    previous = position
+  }
+
+  return score
+}
+
+/**
+ * Items whose text matches the query, best first
+ * @param items Array of anything
+ * @param textFor Function returning the text to match for an item
+ */
+export function fuzzyFilter(query, items, textFor = item => item) {
+  return items
+    .map(item => ({ item, score: fuzzyScore(query, textFor(item)) }))
+    .filter(({ score }) => score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(({ item }) => item)
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[\s\-_/.#]/.test(text[index - 1])
+}
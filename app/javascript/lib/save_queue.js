@@ -0,0 +1,189 @@
+/**
+ * Save Queue
+ *
+ * Durable outbox for pomodoro saves, kept in IndexedDB so a save that fails
+ * (offline, server down, tab closed mid-request) is replayed later instead of
+ * lost. Each entry carries an idempotency key, sent as the Idempotency-Key
+ * header, so the server never records a replayed save twice.
+ *
+ * Entries are plain request descriptions, so the service worker can replay
+ * them during background sync without the page (see pwa/service-worker.js.erb,
+ * which shares the database layout below).
+ *
+ * Entry:
+ *   { key, kind: "complete" | "abandon", url, method, fallbackUrl, body,
+ *     csrfToken, queuedAt }
+ *   fallbackUrl is POSTed to if url answers 404 (e.g. the in-progress
+ *   pomodoro it completes is gone)
+ *
+ * The same database holds notification actions (Skip break, +5 min, ...)
+ * clicked while no tab was open; the next tab to open applies them.
+ */
+
+const DB_NAME = "pomodoro"
+const STORE_NAME = "pending_saves"
+const ACTIONS_STORE_NAME = "pending_actions"
+const LOCK_NAME = "pomodoro_save_queue"
+
+export const SYNC_TAG = "pomodoro-saves"
+
+/**
+ * Open (and create on first use) the queue database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 2)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: "key" })
+      }
+      if (!db.objectStoreNames.contains(ACTIONS_STORE_NAME)) {
+        db.createObjectStore(ACTIONS_STORE_NAME, { autoIncrement: true })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Run a single request against the store and resolve with its result
+ */
+async function withStore(mode, callback, storeName = STORE_NAME) {
+  const db = await openDatabase()
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = callback(transaction.objectStore(storeName))
+    transaction.oncomplete = () => { db.close(); resolve(request.result) }
+    transaction.onerror = () => { db.close(); reject(transaction.error) }
+  })
+}
+
+/**
+ * Add an entry to the queue
+ */
+export function queueRequest(entry) {
+  return withStore("readwrite", store => store.put(entry))
+}
+
+/**
+ * Remove an entry once it's been delivered (or can never be)
+ */
+export function removeRequest(key) {
+  return withStore("readwrite", store => store.delete(key))
+}
+
+/**
+ * All queued entries, oldest first
+ */
+export async function pendingRequests() {
+  const entries = await withStore("readonly", store => store.getAll())
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt)
+}
+
+/**
+ * Send one entry to the server
+ * csrfToken is the page's current token; without one (background sync) the
+ * token stored when the entry was queued is sent, and it may have gone stale
+ * since (signing in or out rotates it)
+ * Resolves with { status: "sent", data }, { status: "failed" } for errors a
+ * retry won't fix (e.g. validation), or { status: "retry" } when offline, the
+ * server is unavailable, the user isn't signed in (401/403), or a stored
+ * token was refused (422), which a page replay with a fresh token can fix
+ */
+export async function sendRequest(entry, csrfToken = null) {
+  const send = (url, method) => fetch(url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      "X-CSRF-Token": csrfToken || entry.csrfToken,
+      "Accept": "application/json",
+      "Idempotency-Key": entry.key
+    },
+    body: entry.body
+  })
+
+  try {
+    let response = await send(entry.url, entry.method)
+
+    if (response.status === 404 && entry.fallbackUrl) {
+      response = await send(entry.fallbackUrl, "POST")
+    }
+
+    if (response.ok) {
+      return { status: "sent", data: await response.json() }
+    }
+
+    const retryable = response.status >= 500 ||
+      [401, 403, 408, 429].includes(response.status) ||
+      (response.status === 422 && !csrfToken)
+    console.error("[SaveQueue] Save failed:", response.status, await response.text())
+    return { status: retryable ? "retry" : "failed" }
+  } catch (error) {
+    console.warn("[SaveQueue] Save deferred:", error.message)
+    return { status: "retry" }
+  }
+}
+
+/**
+ * Send every queued entry, oldest first, stopping at the first one that
+ * still can't get through
+ * Runs under a Web Lock so tabs and the service worker don't replay at once
+ * Pages pass their current CSRF token; the service worker has none, so an
+ * entry whose stored token is refused waits for a page to replay it
+ * Resolves with the entries that were delivered and their responses
+ */
+export async function replayQueue(csrfToken) {
+  const replay = async () => {
+    const delivered = []
+
+    for (const entry of await pendingRequests()) {
+      const result = await sendRequest(entry, csrfToken)
+      if (result.status === "retry") break
+
+      await removeRequest(entry.key)
+      if (result.status === "sent") delivered.push({ entry, data: result.data })
+    }
+
+    return delivered
+  }
+
+  return navigator.locks ? navigator.locks.request(LOCK_NAME, replay) : replay()
+}
+
+/**
+ * Ask the service worker to replay the queue when connectivity returns
+ * Without Background Sync the page replays on its next "online" event or load
+ */
+export async function requestBackgroundSync() {
+  if (!("serviceWorker" in navigator)) return
+
+  try {
+    const registration = await navigator.serviceWorker.ready
+    await registration.sync?.register(SYNC_TAG)
+  } catch (error) {
+    console.warn("[SaveQueue] Background sync unavailable:", error.message)
+  }
+}
+
+/**
+ * Keep a notification action for the next tab that opens
+ * @param action { action: String, at: Number (ms timestamp) }
+ */
+export function queueAction(action) {
+  return withStore("readwrite", store => store.add(action), ACTIONS_STORE_NAME)
+}
+
+/**
+ * Remove and return the queued notification actions, oldest first
+ */
+export function takeQueuedActions() {
+  // One transaction, so two tabs opening at once can't both take them
+  return withStore("readwrite", store => {
+    const request = store.getAll()
+    store.clear()
+    return request
+  }, ACTIONS_STORE_NAME)
+}
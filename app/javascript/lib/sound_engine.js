@@ -0,0 +1,215 @@
+/**
+ * Sound Engine
+ *
+ * Every sound is synthesized with Web Audio; there are no audio files.
+ * - Chimes for the end of focus and the end of a break (bell, bowl or digital)
+ * - A soft warning tone shortly before a phase ends
+ * - Optional ticking while focusing
+ * - Generated white, pink or brown noise while focusing
+ *
+ * Each sound has its own preferences ({ volume: 0-100, muted }, plus chime,
+ * noise type or warning lead time), saved with the user's settings.
+ *
+ * Browsers only allow audio after a user gesture, so nothing plays until
+ * unlock() has been called from one.
+ */
+
+const NOISE_BUFFER_SECONDS = 4
+const FADE_SECONDS = 0.6
+
+export default class SoundEngine {
+  constructor(preferences = {}) {
+    this.preferences = preferences
+    this.context = null
+    this.tickIntervalId = null
+    this.noise = null
+  }
+
+  /**
+   * Create (or wake) the audio context; call from a click or key press
+   * Resolves with true once audio can play
+   */
+  async unlock() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext
+    if (!AudioContext) return false
+
+    this.context ||= new AudioContext()
+    if (this.context.state === "suspended") await this.context.resume()
+    return this.unlocked
+  }
+
+  get unlocked() {
+    return this.context?.state === "running"
+  }
+
+  /**
+   * Linear gain (0-1) for a sound, or 0 if it's muted
+   */
+  volumeFor(name) {
+    const preference = this.preferences[name]
+    if (!preference || preference.muted) return 0
+    return Math.max(0, Math.min(100, preference.volume)) / 100
+  }
+
+  /**
+   * Play the chime for "focus_end" or "break_end"
+   */
+  playChime(name) {
+    const volume = this.volumeFor(name)
+    if (!this.context || volume === 0) return
+
+    switch (this.preferences[name].chime) {
+      case "bowl":
+        this.playPartials(220, [1, 2.02, 2.99, 4.17], volume, 5)
+        break
+      case "digital":
+        [0, 0.22, 0.44].forEach(offset => this.playTone(1046.5, "square", volume * 0.25, 0.12, offset))
+        break
+      default: // bell
+        this.playPartials(880, [1, 2.76, 5.4], volume, 2.5)
+    }
+  }
+
+  /**
+   * Two soft beeps shortly before a phase ends
+   */
+  playWarning() {
+    const volume = this.volumeFor("warning")
+    if (!this.context || volume === 0) return
+
+    this.playTone(660, "sine", volume * 0.6, 0.15, 0)
+    this.playTone(660, "sine", volume * 0.6, 0.15, 0.25)
+  }
+
+  /**
+   * Seconds before the end of a phase to warn at (0 = never)
+   */
+  get warningSeconds() {
+    return this.volumeFor("warning") > 0 ? (this.preferences.warning?.seconds || 0) : 0
+  }
+
+  /**
+   * Tick once a second until stopTicking()
+   */
+  startTicking() {
+    if (this.tickIntervalId || !this.context || this.volumeFor("ticking") === 0) return
+
+    this.tickIntervalId = setInterval(() => {
+      // A short, high click reads as a clock tick
+      this.playTone(1800, "triangle", this.volumeFor("ticking") * 0.4, 0.025, 0)
+    }, 1000)
+  }
+
+  stopTicking() {
+    clearInterval(this.tickIntervalId)
+    this.tickIntervalId = null
+  }
+
+  /**
+   * Fade in the chosen background noise (white, pink or brown)
+   */
+  startNoise() {
+    const volume = this.volumeFor("noise")
+    if (this.noise || !this.context || volume === 0) return
+
+    const source = this.context.createBufferSource()
+    source.buffer = this.noiseBuffer(this.preferences.noise.type)
+    source.loop = true
+
+    const gain = this.context.createGain()
+    gain.gain.setValueAtTime(0, this.context.currentTime)
+    gain.gain.linearRampToValueAtTime(volume * 0.5, this.context.currentTime + FADE_SECONDS)
+
+    source.connect(gain).connect(this.context.destination)
+    source.start()
+    this.noise = { source, gain }
+  }
+
+  /**
+   * Fade out the background noise
+   */
+  stopNoise() {
+    if (!this.noise) return
+
+    const { source, gain } = this.noise
+    const now = this.context.currentTime
+    gain.gain.cancelScheduledValues(now)
+    gain.gain.setValueAtTime(gain.gain.value, now)
+    gain.gain.linearRampToValueAtTime(0, now + FADE_SECONDS)
+    source.stop(now + FADE_SECONDS)
+    this.noise = null
+  }
+
+  stopAll() {
+    this.stopTicking()
+    this.stopNoise()
+  }
+
+  // Synthesis helpers
+
+  /**
+   * A struck sound: sine partials of a base frequency, decaying together
+   */
+  playPartials(frequency, ratios, volume, decaySeconds) {
+    ratios.forEach((ratio, index) => {
+      // Higher partials are quieter and die away faster
+      this.playTone(frequency * ratio, "sine", volume / (index + 1.5), decaySeconds / (index + 1), 0)
+    })
+  }
+
+  /**
+   * One tone with a fast attack and an exponential decay
+   */
+  playTone(frequency, type, volume, durationSeconds, delaySeconds) {
+    if (volume <= 0) return
+
+    const start = this.context.currentTime + delaySeconds
+    const oscillator = this.context.createOscillator()
+    const gain = this.context.createGain()
+
+    oscillator.type = type
+    oscillator.frequency.value = frequency
+    gain.gain.setValueAtTime(0.0001, start)
+    gain.gain.exponentialRampToValueAtTime(volume, start + 0.01)
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + durationSeconds)
+
+    oscillator.connect(gain).connect(this.context.destination)
+    oscillator.start(start)
+    oscillator.stop(start + durationSeconds + 0.05)
+  }
+
+  /**
+   * A few seconds of noise to loop
+   * Pink uses Paul Kellet's filter; brown is integrated (random-walk) white noise
+   */
+  noiseBuffer(type) {
+    const length = this.context.sampleRate * NOISE_BUFFER_SECONDS
+    const buffer = this.context.createBuffer(1, length, this.context.sampleRate)
+    const data = buffer.getChannelData(0)
+
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0
+    let last = 0
+
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1
+
+      if (type === "pink") {
+        b0 = 0.99886 * b0 + white * 0.0555179
+        b1 = 0.99332 * b1 + white * 0.0750759
+        b2 = 0.96900 * b2 + white * 0.1538520
+        b3 = 0.86650 * b3 + white * 0.3104856
+        b4 = 0.55000 * b4 + white * 0.5329522
+        b5 = -0.7616 * b5 - white * 0.0168980
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11
+        b6 = white * 0.115926
+      } else if (type === "brown") {
+        last = (last + 0.02 * white) / 1.02
+        data[i] = last * 3.5
+      } else {
+        data[i] = white
+      }
+    }
+
+    return buffer
+  }
+}
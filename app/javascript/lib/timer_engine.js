@@ -0,0 +1,490 @@
+/**
+ * Timer Engine
+ *
+ * The pomodoro state machine without any DOM or framework: what phase the
+ * timer is in, when it ends, pauses, interruptions and break lengths. The
+ * Stimulus controller drives it and renders it; anything else (a mini
+ * window, a widget, a test) can drive the same engine.
+ *
+ * States (see TRANSITIONS for the moves between them):
+ *   ready            - nothing running
+ *   pomodoro_running - focus session counting down
+ *   paused           - focus session frozen; the pause is added to its end
+ *   overtime         - flow mode: focus time is up but the session counts up
+ *   break_running    - short or long break counting down
+ *
+ * Every running phase has an absolute end (phaseEndsAt, ms); time remaining
+ * is always derived from the clock, so a throttled or sleeping tick can't
+ * stretch a session.
+ *
+ * Events (subscribe with on(type, listener)):
+ *   transition { from, to, reason } - the state changed
+ *   change { reason }               - same state, new timing or counts
+ *                                     (interruption, break length, ...)
+ *   tick { secondsRemaining }       - once a second while a phase runs
+ *   expired { state, endedAt }      - a focus session or break ran out;
+ *                                     the engine stops there and waits to be
+ *                                     told what's next (save, overtime, ...)
+ *
+ * The clock is injectable ({ now, setInterval, clearInterval }), so tests can
+ * drive time by hand.
+ */
+
+export const STATES = ["ready", "pomodoro_running", "paused", "overtime", "break_running"]
+
+// Allowed moves; restore() may land in any state
+export const TRANSITIONS = {
+  ready: ["pomodoro_running"],
+  pomodoro_running: ["paused", "overtime", "break_running", "ready"],
+  paused: ["pomodoro_running", "break_running", "ready"],
+  overtime: ["break_running", "ready"],
+  break_running: ["ready"]
+}
+
+// Defaults in seconds, used for any duration not given
+export const DEFAULT_DURATIONS = {
+  focusDuration: 25 * 60,
+  shortBreakDuration: 5 * 60,
+  longBreakDurations: [30 * 60, 60 * 60, 30 * 60],
+  longBreakInterval: 3
+}
+
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: id => clearInterval(id)
+}
+
+export default class TimerEngine {
+  /**
+   * @param options { focusDuration, shortBreakDuration, longBreakDurations,
+   *   longBreakInterval, overtimeEnabled, clock } - durations in seconds
+   */
+  constructor(options = {}) {
+    this.focusDuration = options.focusDuration || DEFAULT_DURATIONS.focusDuration
+    this.shortBreakDuration = options.shortBreakDuration || DEFAULT_DURATIONS.shortBreakDuration
+    this.longBreakDurations = options.longBreakDurations?.length > 0
+      ? options.longBreakDurations
+      : DEFAULT_DURATIONS.longBreakDurations
+    this.longBreakInterval = options.longBreakInterval || DEFAULT_DURATIONS.longBreakInterval
+    this.overtimeEnabled = Boolean(options.overtimeEnabled) // Flow mode: keep counting past zero
+    this.clock = { ...SYSTEM_CLOCK, ...options.clock }
+
+    this.listeners = new Map()
+    this.intervalId = null
+    this.state = "ready"
+    this.clearPhase()
+  }
+
+  // Events
+
+  /**
+   * Listen for an event; returns a function that stops listening
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set())
+    this.listeners.get(type).add(listener)
+    return () => this.off(type, listener)
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener)
+  }
+
+  emit(type, detail = {}) {
+    this.listeners.get(type)?.forEach(listener => listener(detail))
+  }
+
+  // State
+
+  now() {
+    return this.clock.now()
+  }
+
+  /**
+   * Whether the state machine allows moving to a state from the current one
+   */
+  can(state) {
+    return TRANSITIONS[this.state].includes(state)
+  }
+
+  /**
+   * Move to a new state, emitting "transition"
+   */
+  transition(to, reason) {
+    if (!this.can(to)) {
+      throw new Error(`Timer can't go from ${this.state} to ${to}`)
+    }
+
+    const from = this.state
+    this.state = to
+    this.emit("transition", { from, to, reason })
+  }
+
+  /**
+   * Whether a focus session is under way (running, paused or in overtime)
+   */
+  isFocusActive() {
+    return ["pomodoro_running", "paused", "overtime"].includes(this.state)
+  }
+
+  /**
+   * Whole seconds left until a timestamp (ms), never negative
+   */
+  secondsUntil(endsAt) {
+    return Math.max(0, Math.ceil((endsAt - this.now()) / 1000))
+  }
+
+  /**
+   * Seconds spent past the end of the focus period
+   */
+  overtimeSeconds() {
+    if (!this.phaseEndsAt) return 0
+    return Math.max(0, Math.floor((this.now() - this.phaseEndsAt) / 1000))
+  }
+
+  /**
+   * How far through the current phase the timer is (0-1)
+   * Overtime starts a second lap
+   */
+  progress() {
+    if (this.state === "pomodoro_running" || this.state === "paused") {
+      return 1 - (this.secondsRemaining / this.pomodoroDuration)
+    } else if (this.state === "overtime") {
+      return (this.overtimeSeconds() % this.pomodoroDuration) / this.pomodoroDuration
+    } else if (this.state === "break_running") {
+      return 1 - (this.secondsRemaining / (this.currentBreakDuration || this.shortBreakDuration))
+    }
+    return 0
+  }
+
+  // Ticking
+
+  get ticking() {
+    return this.intervalId !== null
+  }
+
+  startTicking() {
+    this.stopTicking()
+    this.intervalId = this.clock.setInterval(() => this.tick(), 1000)
+  }
+
+  stopTicking() {
+    if (this.intervalId !== null) {
+      this.clock.clearInterval(this.intervalId)
+      this.intervalId = null
+    }
+  }
+
+  /**
+   * Recompute the time left from the clock
+   * Emits "expired" (once ticking stops) when a countdown reaches zero;
+   * overtime just keeps counting up
+   */
+  tick() {
+    if (!this.phaseEndsAt || this.state === "paused") return
+
+    if (this.state === "overtime") {
+      this.emit("tick", { secondsRemaining: 0 })
+      return
+    }
+
+    this.secondsRemaining = this.secondsUntil(this.phaseEndsAt)
+    this.emit("tick", { secondsRemaining: this.secondsRemaining })
+
+    if (this.secondsRemaining <= 0) {
+      this.stopTicking()
+      this.emit("expired", { state: this.state, endedAt: new Date(this.phaseEndsAt) })
+    }
+  }
+
+  // Focus sessions
+
+  /**
+   * Start a focus session now
+   * @return [Boolean] false if the timer wasn't ready
+   */
+  start() {
+    if (this.state !== "ready") return false
+
+    this.pomodoroStartedAt = new Date(this.now())
+    this.pomodoroDuration = this.focusDuration
+    this.phaseEndsAt = this.pomodoroStartedAt.getTime() + this.pomodoroDuration * 1000
+    this.secondsRemaining = this.pomodoroDuration
+    this.pausedAt = null
+    this.pausedMs = 0
+    this.internalInterruptions = 0
+    this.externalInterruptions = 0
+
+    this.transition("pomodoro_running", "start")
+    this.startTicking()
+    return true
+  }
+
+  /**
+   * Freeze the running focus session
+   */
+  pause() {
+    if (this.state !== "pomodoro_running") return false
+
+    this.stopTicking()
+    this.pausedAt = this.now()
+    this.secondsRemaining = this.secondsUntil(this.phaseEndsAt)
+    this.transition("paused", "pause")
+    return true
+  }
+
+  /**
+   * Continue a paused session; its end moves back by the length of the pause
+   */
+  resume() {
+    if (this.state !== "paused") return false
+
+    const pauseLength = this.now() - this.pausedAt
+    this.pausedMs += pauseLength
+    this.phaseEndsAt += pauseLength
+    this.pausedAt = null
+
+    this.transition("pomodoro_running", "resume")
+    this.startTicking()
+    this.tick()
+    return true
+  }
+
+  /**
+   * Stop a focus session early and go back to ready
+   * An ongoing pause counts as paused time up to now
+   * @return [Object, null] the session's summary (see summary()), or null if
+   *   no session was running
+   */
+  stop() {
+    if (this.state !== "pomodoro_running" && this.state !== "paused") return null
+
+    if (this.state === "paused") {
+      this.pausedMs += this.now() - this.pausedAt
+      this.pausedAt = null
+    }
+
+    const summary = this.summary(new Date(this.now()))
+    this.reset("stop")
+    return summary
+  }
+
+  /**
+   * Keep the session going past zero (flow mode)
+   * The focus end stays in phaseEndsAt; overtime is measured from it
+   */
+  enterOvertime() {
+    if (this.state !== "pomodoro_running") return false
+
+    this.transition("overtime", "overtime")
+    this.startTicking()
+    return true
+  }
+
+  /**
+   * Count an interruption during focus ("internal" or "external")
+   */
+  markInterruption(kind) {
+    if (!this.isFocusActive()) return false
+
+    if (kind === "internal") {
+      this.internalInterruptions++
+    } else {
+      this.externalInterruptions++
+    }
+    this.emit("change", { reason: `${kind}_interruption` })
+    return true
+  }
+
+  /**
+   * Leave time out of the focus session, as if it had been paused
+   * The end moves back by the same amount
+   */
+  excludeTime(ms) {
+    if (this.state !== "pomodoro_running" && this.state !== "overtime") return false
+
+    this.pausedMs += ms
+    this.phaseEndsAt += ms
+    this.emit("change", { reason: "exclude_time" })
+    return true
+  }
+
+  /**
+   * Facts about the focus session, as of endedAt
+   */
+  summary(endedAt) {
+    const focusedMs = this.pomodoroStartedAt ? endedAt - this.pomodoroStartedAt - this.pausedMs : null
+
+    return {
+      startedAt: this.pomodoroStartedAt,
+      endedAt,
+      focusedMinutes: focusedMs === null ? this.pomodoroDuration / 60 : Math.max(0, Math.round(focusedMs / 60000)),
+      plannedMinutes: this.pomodoroDuration / 60,
+      pausedSeconds: Math.round(this.pausedMs / 1000),
+      internalInterruptions: this.internalInterruptions,
+      externalInterruptions: this.externalInterruptions
+    }
+  }
+
+  // Breaks
+
+  /**
+   * Break after the given number of pomodoros completed today
+   * - After every Nth pomodoro: the next long break in the cycle
+   *   (e.g. 3rd → 30m, 6th → 60m, 9th → 30m, 12th → 30m, ...)
+   * - Otherwise: the short break
+   */
+  determineBreak(completedCount) {
+    const isLongBreak = this.longBreakInterval > 0 && completedCount > 0 && completedCount % this.longBreakInterval === 0
+    let duration = this.shortBreakDuration
+
+    if (isLongBreak) {
+      const cycleIndex = (completedCount / this.longBreakInterval - 1) % this.longBreakDurations.length
+      duration = this.longBreakDurations[cycleIndex]
+    }
+
+    return { isLongBreak, duration, durationMinutes: duration / 60 }
+  }
+
+  /**
+   * Start a break, timed from startedAt (ms) for duration seconds
+   * Call tick() once the break has been rendered, so one that's already over
+   * expires straight away
+   */
+  startBreak(startedAt, duration) {
+    this.currentBreakDuration = duration
+    this.breakStartedAt = startedAt
+    this.phaseEndsAt = startedAt + duration * 1000
+    this.secondsRemaining = this.secondsUntil(this.phaseEndsAt)
+    this.selectedBreakMinutes = duration / 60
+
+    this.transition("break_running", "break")
+    this.startTicking()
+  }
+
+  /**
+   * Change the running break's length, keeping its start
+   * The caller decides what to do if that leaves no time (secondsRemaining 0)
+   */
+  setBreakDuration(minutes) {
+    if (this.state !== "break_running") return false
+
+    this.selectedBreakMinutes = minutes
+    this.currentBreakDuration = minutes * 60
+    this.phaseEndsAt = this.breakStartedAt + this.currentBreakDuration * 1000
+    this.secondsRemaining = this.secondsUntil(this.phaseEndsAt)
+    this.emit("change", { reason: "break_duration" })
+    return true
+  }
+
+  /**
+   * Add seconds to the running break
+   */
+  extendBreak(seconds) {
+    if (this.state !== "break_running" || !this.phaseEndsAt) return false
+
+    this.phaseEndsAt += seconds * 1000
+    this.currentBreakDuration += seconds
+    this.selectedBreakMinutes = this.currentBreakDuration / 60
+    this.emit("change", { reason: "extend_break" })
+    this.tick()
+    return true
+  }
+
+  // Wrapping up
+
+  /**
+   * Stop the countdown and forget the phase's end, so it can't expire again
+   * while it's being wrapped up (saved, animated out, ...)
+   */
+  clearPhaseEnd() {
+    this.stopTicking()
+    this.phaseEndsAt = null
+  }
+
+  /**
+   * Go back to ready, discarding any running phase
+   */
+  reset(reason = "reset") {
+    this.stopTicking()
+    this.clearPhase()
+
+    if (this.state !== "ready") {
+      const from = this.state
+      this.state = "ready"
+      this.emit("transition", { from, to: "ready", reason })
+    }
+  }
+
+  clearPhase() {
+    this.secondsRemaining = this.focusDuration
+    this.pomodoroDuration = this.focusDuration // Length of the current (or next) session
+    this.pomodoroStartedAt = null
+    this.phaseEndsAt = null
+    this.pausedAt = null
+    this.pausedMs = 0
+    this.internalInterruptions = 0
+    this.externalInterruptions = 0
+    this.breakStartedAt = null
+    this.currentBreakDuration = null
+    this.selectedBreakMinutes = this.shortBreakDuration / 60
+  }
+
+  // Persistence
+
+  /**
+   * Plain object describing the running phase, for storage or other tabs
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      pomodoroStartedAt: this.pomodoroStartedAt?.toISOString() || null,
+      pomodoroDuration: this.pomodoroDuration,
+      phaseEndsAt: this.phaseEndsAt,
+      breakStartedAt: this.breakStartedAt || null,
+      currentBreakDuration: this.currentBreakDuration || null,
+      selectedBreakMinutes: this.selectedBreakMinutes || null,
+      pausedAt: this.pausedAt,
+      pausedMs: this.pausedMs,
+      internalInterruptions: this.internalInterruptions,
+      externalInterruptions: this.externalInterruptions
+    }
+  }
+
+  /**
+   * Load a snapshot() (from storage, another tab or the server)
+   * Doesn't start ticking; the caller does once it has rendered
+   * @return [Boolean] false if the snapshot isn't a running phase
+   */
+  restore(saved) {
+    if (!saved?.phaseEndsAt) return false
+
+    if (["pomodoro_running", "overtime"].includes(saved.state) || (saved.state === "paused" && saved.pausedAt)) {
+      this.pomodoroStartedAt = saved.pomodoroStartedAt ? new Date(saved.pomodoroStartedAt) : null
+      this.pomodoroDuration = saved.pomodoroDuration || this.focusDuration
+      this.pausedAt = saved.state === "paused" ? saved.pausedAt : null
+      this.pausedMs = saved.pausedMs || 0
+      this.internalInterruptions = saved.internalInterruptions || 0
+      this.externalInterruptions = saved.externalInterruptions || 0
+    } else if (saved.state === "break_running") {
+      this.breakStartedAt = saved.breakStartedAt
+      this.currentBreakDuration = saved.currentBreakDuration
+      this.selectedBreakMinutes = saved.selectedBreakMinutes
+    } else {
+      return false
+    }
+
+    this.stopTicking()
+    this.phaseEndsAt = saved.phaseEndsAt
+    // A paused session stays frozen at whatever was left when the pause began
+    this.secondsRemaining = saved.state === "paused"
+      ? Math.max(0, Math.ceil((this.phaseEndsAt - this.pausedAt) / 1000))
+      : this.secondsUntil(this.phaseEndsAt)
+
+    const from = this.state
+    this.state = saved.state
+    this.emit("transition", { from, to: this.state, reason: "restore" })
+    return true
+  }
+}
@@ -0,0 +1,58 @@
+# frozen_string_literal: true
+
+# Pushes "Pomodoro complete" / "Break over" to the user's devices when a phase ends
+# Scheduled for the phase's end time; skips itself if the phase was paused,
+# rescheduled or already finished by an open tab in the meantime
+class TimerNotificationJob < ApplicationJob
+  queue_as :default
+
+  # Action buttons, matching the ones the page shows (see pomodoro_timer_controller.js)
+  BREAK_STARTED_ACTIONS = [
+    { action: "skip_break", title: "Skip break" },
+    { action: "extend_break", title: "+5 min" },
+    { action: "end_break", title: "End break" }
+  ].freeze
+  BREAK_OVER_ACTIONS = [{ action: "start_pomodoro", title: "Start next pomodoro" }].freeze
+
+  # The pomodoro was deleted before its phase ended
+  discard_on ActiveJob::DeserializationError
+
+  # @param pomodoro [PomodoroSession]
+  # @param event [String] "focus_end" or "break_end"
+  # @param ends_at [Time] The end time the job was scheduled for
+  # @param user [User, nil] Whose devices to notify (guests have none)
+  def perform(pomodoro, event, ends_at, user = nil)
+    return unless user && WebPushService.configured?
+    return unless still_due?(pomodoro, event, ends_at)
+
+    WebPushService.notify(PushSubscription.for_user(user), notification_for(event, user))
+  end
+
+  private
+
+  def still_due?(pomodoro, event, ends_at)
+    case event
+    when "focus_end"
+      pomodoro.in_progress? && !pomodoro.paused? && pomodoro.ends_at&.to_i == ends_at.to_i
+    when "break_end"
+      pomodoro.break_ends_at&.to_i == ends_at.to_i
+    else
+      false
+    end
+  end
+
+  # Payload for the service worker's push handler
+  # The tag matches the page's own notifications, so an open tab and a push
+  # for the same event show up once
+  def notification_for(event, user)
+    if event == "break_end"
+      { title: "Break over", body: "Ready for the next pomodoro?", tag: "pomodoro-timer", path: "/",
+        actions: BREAK_OVER_ACTIONS }
+    elsif user&.settings&.overtime_enabled?
+      { title: "Focus time's up", body: "Keep going, and finish when you're ready.", tag: "pomodoro-timer", path: "/" }
+    else
+      { title: "Pomodoro complete", body: "Time for a break.", tag: "pomodoro-timer", path: "/",
+        actions: BREAK_STARTED_ACTIONS }
+    end
+  end
+end
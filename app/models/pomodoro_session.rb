@@ -3,7 +3,19 @@
 class PomodoroSession < ApplicationRecord
   self.table_name = "pomodoros"
 
+  # In-progress pomodoros older than this were left behind by a closed tab
+  # and are no longer offered as the active session
+  STALE_AFTER = 12.hours
+
+  has_many :pomodoro_tags, -> { order(:id) }, foreign_key: :pomodoro_id,
+           dependent: :delete_all, inverse_of: :pomodoro_session
+  has_many :tags, through: :pomodoro_tags
+
   validates :duration_minutes, presence: true
+  validates :paused_seconds, numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+  validates :internal_interruptions, :external_interruptions,
+            numericality: { only_integer: true, greater_than_or_equal_to: 0 }
+  validate :not_both_completed_and_abandoned
 
   # Set completed_date from completed_at before saving
   before_save :set_completed_date, if: :completed_at_changed?
@@ -11,6 +23,15 @@ class PomodoroSession < ApplicationRecord
   # Pomodoros that have been completed (have a completed_at timestamp)
   scope :completed, -> { where.not(completed_at: nil) }
 
+  # Pomodoros that were stopped before the timer ran out
+  scope :abandoned, -> { where.not(abandoned_at: nil) }
+
+  # Pomodoros that ended one way or the other (completed or abandoned)
+  scope :finished, -> { where.not(completed_at: nil).or(where.not(abandoned_at: nil)) }
+
+  # Pomodoros that have been started but not yet completed or abandoned
+  scope :in_progress, -> { where.not(started_at: nil).where(completed_at: nil, abandoned_at: nil) }
+
   # Pomodoros completed today (based on completed_date)
   scope :completed_today, -> {
     completed.where(completed_date: Date.current)
@@ -25,31 +46,133 @@ class PomodoroSession < ApplicationRecord
     completed_at.present?
   end
 
-  # Returns all unique tags used across all pomodoros
-  # Tags are stored as comma-separated strings, so we split and flatten
+  def abandoned?
+    abandoned_at.present?
+  end
+
+  def in_progress?
+    started_at.present? && !completed? && !abandoned?
+  end
+
+  def paused?
+    in_progress? && paused_at.present?
+  end
+
+  # Names of the pomodoro's tags, in the order they were added
+  def tag_names
+    tags.map(&:name)
+  end
+
+  # Sets the tags by name, creating any that are new
+  # Takes an array, or a comma-separated string (saves queued before a
+  # pomodoro could have several tags)
+  def tag_names=(names)
+    names = names.split(",") if names.is_a?(String)
+    self.tags = Tag.find_or_create_named(Array(names))
+  end
+
+  # The pomodoro currently running on any device, if any
+  def self.active
+    in_progress.where(started_at: STALE_AFTER.ago..).order(started_at: :desc).first
+  end
+
+  # Timer state shared with every device showing this pomodoro
+  def active_session_json
+    {
+      id: id,
+      state: paused? ? "paused" : "running",
+      started_at: started_at&.iso8601(3),
+      ends_at: ends_at&.iso8601(3),
+      paused_at: paused_at&.iso8601(3),
+      paused_seconds: paused_seconds,
+      planned_minutes: planned_minutes,
+      description: description,
+      tags: tag_names,
+      internal_interruptions: internal_interruptions,
+      external_interruptions: external_interruptions
+    }
+  end
+
+  # Minutes worked past the planned focus length (flow mode), 0 if none
+  def overtime_minutes
+    return 0 if planned_minutes.blank?
+
+    [duration_minutes.to_i - planned_minutes, 0].max
+  end
+
+  # Returns the names of all tags used on completed pomodoros, sorted
   def self.all_tags
-    completed
-      .where.not(tags: [nil, ""])
-      .pluck(:tags)
-      .flat_map { |t| t.split(",").map(&:strip) }
-      .uniq
-      .sort
+    Tag.where(id: PomodoroTag.where(pomodoro_id: completed.select(:id)).select(:tag_id)).all_names
   end
 
-  # Returns count of pomodoros per tag for pie chart visualization
-  # Returns array of hashes: [{ tag: String, count: Integer }, ...]
+  # Returns count of pomodoros per tag for pie chart visualization,
+  # along with how often sessions with that tag were finished and interrupted
+  # Returns array of hashes:
+  #   [{ tag: String, project: String or nil, is_project: Boolean, count: Integer,
+  #      abandoned: Integer, completion_rate: Integer,
+  #      internal_interruptions: Integer, external_interruptions: Integer,
+  #      color: String, emoji: String or nil }, ...]
+  # Rows with no project are the top level: each project rolls up its child
+  # tags' pomodoros (counting a pomodoro once). Rows with a project are what
+  # it's made of: its child tags, plus the project itself for pomodoros
+  # tagged with it directly.
+  # count is completed pomodoros; tags with no completed pomodoros are omitted
+  # A pomodoro with several tags counts once for each of them
   # Sorted by count descending
   def self.tag_statistics
-    completed
-      .where.not(tags: [nil, ""])
-      .pluck(:tags)
-      .tally
-      .map { |tag, count| { tag: tag.strip, count: count } }
+    rows = finished
+      .joins(:tags)
+      .joins("LEFT JOIN tags projects ON projects.id = tags.parent_id")
+      .pluck(:id, "tags.name", "projects.name", :completed_at, :internal_interruptions, :external_interruptions)
+    project_names = Tag.project_names
+    appearances = Tag.appearances
+
+    top_level = rows
+      .group_by { |_id, tag, project, *| project || tag }
+      .map { |tag, tag_rows| tag_statistics_row(tag, nil, project_names.include?(tag), tag_rows.uniq(&:first)) }
+
+    within_projects = rows
+      .select { |_id, tag, project, *| project || project_names.include?(tag) }
+      .group_by { |_id, tag, project, *| [tag, project || tag] }
+      .map { |(tag, project), tag_rows| tag_statistics_row(tag, project, false, tag_rows) }
+
+    (top_level + within_projects)
+      .reject { |h| h[:count].zero? }
       .sort_by { |h| -h[:count] }
+      .map { |h| h.merge(appearances.fetch(h[:tag], {})) }
+  end
+
+  def self.tag_statistics_row(tag, project, is_project, rows)
+    completed_count = rows.count { |_id, _tag, _project, completed_at, *| completed_at.present? }
+
+    {
+      tag: tag,
+      project: project,
+      is_project: is_project,
+      count: completed_count,
+      abandoned: rows.size - completed_count,
+      completion_rate: (completed_count * 100.0 / rows.size).round,
+      internal_interruptions: rows.sum { |*, internal, _external| internal },
+      external_interruptions: rows.sum { |*, external| external }
+    }
+  end
+  private_class_method :tag_statistics_row
+
+  # Most recently used descriptions, each with the tags last used with it
+  # Returns array of hashes: [{ description: String, tags: [String] }, ...]
+  def self.recent_descriptions(limit: 20)
+    finished
+      .where.not(description: [nil, ""])
+      .order(created_at: :desc)
+      .limit(limit * 5)
+      .includes(:tags)
+      .map { |pomodoro| { description: pomodoro.description.strip, tags: pomodoro.tag_names } }
+      .uniq { |recent| recent[:description].downcase }
+      .first(limit)
   end
 
   # Returns daily counts for the past N days (excluding today)
-  # Returns array of hashes: [{ date: Date, count: Integer }, ...]
+  # Returns array of hashes: [{ date: Date, count: Integer, abandoned: Integer }, ...]
   def self.daily_counts(days: 30)
     start_date = Date.current - days.days
     end_date = Date.current - 1.day
@@ -59,14 +182,26 @@ class PomodoroSession < ApplicationRecord
       .group(:completed_date)
       .count
 
+    abandoned_counts = abandoned
+      .where(abandoned_at: start_date.beginning_of_day..end_date.end_of_day)
+      .pluck(:abandoned_at)
+      .map(&:to_date)
+      .tally
+
     # Build array with all dates, filling in zeros for days with no pomodoros
     (start_date..end_date).map do |date|
-      { date: date, count: counts[date] || 0 }
+      { date: date, count: counts[date] || 0, abandoned: abandoned_counts[date] || 0 }
     end.reverse # Most recent first
   end
 
   private
 
+  def not_both_completed_and_abandoned
+    if completed? && abandoned?
+      errors.add(:abandoned_at, "can't be set on a completed pomodoro")
+    end
+  end
+
   def set_completed_date
     self.completed_date = completed_at&.to_date
   end
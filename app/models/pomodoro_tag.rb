@@ -0,0 +1,9 @@
+# frozen_string_literal: true
+
+# Joins a pomodoro to one of its tags
+class PomodoroTag < ApplicationRecord
+  belongs_to :pomodoro_session, foreign_key: :pomodoro_id, inverse_of: :pomodoro_tags
+  belongs_to :tag
+
+  validates :tag_id, uniqueness: { scope: :pomodoro_id }
+end
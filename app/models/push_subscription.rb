@@ -0,0 +1,12 @@
+# frozen_string_literal: true
+
+# A browser's Web Push subscription (one per device)
+class PushSubscription < ApplicationRecord
+  belongs_to :user
+
+  validates :endpoint, presence: true, uniqueness: true
+  validates :p256dh_key, :auth_key, presence: true
+
+  # Subscriptions that should get a user's timer notifications
+  scope :for_user, ->(user) { where(user: user) }
+end
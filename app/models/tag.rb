@@ -1,11 +1,112 @@
 # frozen_string_literal: true
 
+# A tag can belong to a project: a top-level tag that groups related tags
+# ("Client A" over "design" and "dev"). Projects don't nest further.
+# Each tag has its own color, and optionally an emoji, used wherever it's shown.
 class Tag < ApplicationRecord
+  # Colors handed out to new tags, least used first
+  COLORS = %w[#3b82f6 #10b981 #f59e0b #ef4444 #8b5cf6 #06b6d4 #f97316 #84cc16 #ec4899 #6366f1 #14b8a6 #a855f7].freeze
+
+  belongs_to :parent, class_name: "Tag", optional: true
+  has_many :children, class_name: "Tag", foreign_key: :parent_id,
+           dependent: :nullify, inverse_of: :parent
+  has_many :pomodoro_tags, dependent: :delete_all
+  has_many :pomodoro_sessions, through: :pomodoro_tags
+
+  normalizes :color, with: ->(color) { color.strip.downcase }
+  normalizes :emoji, with: ->(emoji) { emoji.strip.presence }
+
+  before_validation :assign_color, on: :create, unless: :color?
+
   validates :name, presence: true, uniqueness: { case_sensitive: false }
+  validates :color, format: { with: /\A#\h{6}\z/, message: "must be a hex color like #3b82f6" }
+  validates :emoji, length: { maximum: 16 }, allow_nil: true
+  validate :parent_is_a_top_level_tag
 
   # Returns all tag names, sorted alphabetically
   def self.all_names
     order(:name).pluck(:name)
   end
-end
 
+  # All tags, each top-level tag followed by its children, alphabetically
+  def self.in_tree_order
+    tags = includes(:parent).order(:name).to_a
+    children = tags.select(&:parent_id).group_by(&:parent_id)
+
+    tags.reject(&:parent_id).flat_map { |tag| [tag, *children.fetch(tag.id, [])] }
+  end
+
+  # Tags for the combobox, in tree order
+  # Returns array of hashes:
+  #   [{ name: String, parent: String or nil, color: String, emoji: String or nil }, ...]
+  def self.tree_options
+    in_tree_order.map { |tag| { name: tag.name, parent: tag.parent&.name, color: tag.color, emoji: tag.emoji } }
+  end
+
+  # Each tag's color and emoji, by name
+  # Returns hash: { String => { color: String, emoji: String or nil } }
+  def self.appearances
+    pluck(:name, :color, :emoji).to_h { |name, color, emoji| [name, { color: color, emoji: emoji }] }
+  end
+
+  # Names of the tags that have children
+  def self.project_names
+    where(id: where.not(parent_id: nil).select(:parent_id)).pluck(:name)
+  end
+
+  # The tag with this name, ignoring case
+  def self.find_named(name)
+    where("LOWER(name) = ?", name.downcase).first
+  end
+
+  # Tags with the given names, creating any that don't exist yet
+  # Blank names and repeats (ignoring case) are dropped
+  def self.find_or_create_named(names)
+    names.map { |name| name.to_s.strip }.reject(&:empty?).uniq(&:downcase).map do |name|
+      find_named(name) || create!(name: name)
+    end
+  end
+
+  # Number of pomodoros with each tag, by tag id
+  def self.pomodoro_counts
+    PomodoroTag.group(:tag_id).count
+  end
+
+  # Moves this tag's pomodoros onto another tag, then deletes this one
+  # Pomodoros that already had both keep just the other tag. Child tags move
+  # under the other tag, or to the top level if it's inside a project itself.
+  # Returns the number of pomodoros that had this tag
+  def merge_into!(target)
+    raise ArgumentError, "A tag can't be merged into itself" if target == self
+
+    transaction do
+      affected = pomodoro_tags.count
+      pomodoro_tags.where(pomodoro_id: target.pomodoro_tags.select(:pomodoro_id)).delete_all
+      pomodoro_tags.update_all(tag_id: target.id, updated_at: Time.current)
+      children.update_all(parent_id: target.parent_id ? nil : target.id, updated_at: Time.current)
+
+      reload.destroy!
+      affected
+    end
+  end
+
+  private
+
+  # The palette color the fewest tags have, earliest on a tie
+  def assign_color
+    counts = Tag.where(color: COLORS).group(:color).count
+    self.color = COLORS.min_by { |color| counts.fetch(color, 0) }
+  end
+
+  def parent_is_a_top_level_tag
+    return unless parent
+
+    if parent == self
+      errors.add(:parent, "can't be the tag itself")
+    elsif parent.parent_id
+      errors.add(:parent, "must be a top-level tag")
+    elsif children.exists?
+      errors.add(:parent, "can't be set on a tag that has its own tags")
+    end
+  end
+end
@@ -1,9 +1,17 @@
 # frozen_string_literal: true
 
 class User < ApplicationRecord
+  has_one :setting, class_name: "UserSetting", dependent: :destroy
+  has_many :push_subscriptions, dependent: :destroy
+
   validates :email, presence: true, uniqueness: true
   validates :google_uid, presence: true, uniqueness: true
 
+  # Timer settings, with defaults if the user hasn't saved any yet
+  def settings
+    setting || build_setting
+  end
+
   # Check if the OAuth access token has expired
   def token_expired?
     token_expires_at.present? && token_expires_at < Time.current
@@ -0,0 +1,140 @@
+# frozen_string_literal: true
+
+class UserSetting < ApplicationRecord
+  CHIMES = %w[bell bowl digital].freeze
+  NOISE_TYPES = %w[white pink brown].freeze
+
+  # Every sound has a volume (0-100) and a mute switch, plus its own options
+  SOUND_DEFAULTS = {
+    "focus_end" => { "chime" => "bell", "volume" => 70, "muted" => false },
+    "break_end" => { "chime" => "bowl", "volume" => 70, "muted" => false },
+    "warning" => { "seconds" => 60, "volume" => 40, "muted" => false },
+    "ticking" => { "volume" => 20, "muted" => true },
+    "noise" => { "type" => "brown", "volume" => 30, "muted" => true }
+  }.freeze
+
+  # Keyboard shortcut for each timer action
+  # Keys are a single character (letters in lowercase) or "Space"
+  SHORTCUT_DEFAULTS = {
+    "start_stop" => "Space",
+    "pause" => "p",
+    "break_1" => "1",
+    "break_2" => "2",
+    "break_3" => "3",
+    "focus_description" => "d",
+    "focus_tags" => "t",
+    "internal_interruption" => "'",
+    "external_interruption" => "-",
+    "tag_stats" => "s",
+    "help" => "?"
+  }.freeze
+
+  belongs_to :user
+
+  validates :focus_minutes, numericality: { only_integer: true, in: 1..180 }
+  validates :short_break_minutes, numericality: { only_integer: true, in: 1..60 }
+  validates :long_break_interval, numericality: { only_integer: true, in: 1..12 }
+  validates :daily_target, numericality: { only_integer: true, in: 1..50 }
+  validates :idle_threshold_minutes, numericality: { only_integer: true, in: 0..60 }
+  validate :long_break_cycle_is_valid
+  validate :sound_preferences_are_valid
+  validate :keyboard_shortcuts_are_valid
+
+  # Long break lengths in minutes, e.g. [30, 60, 30]
+  # Stored as a comma-separated string ("30,60,30")
+  def long_break_cycle
+    self[:long_break_cycle].to_s.split(",").map { |minutes| minutes.strip.to_i }
+  end
+
+  def long_break_cycle=(value)
+    value = value.join(",") if value.is_a?(Array)
+    self[:long_break_cycle] = value.to_s.split(",").map(&:strip).reject(&:blank?).join(",")
+  end
+
+  # Sound preferences with defaults filled in, e.g.
+  #   { "focus_end" => { "chime" => "bell", "volume" => 70, "muted" => false }, ... }
+  def sound_preferences
+    SOUND_DEFAULTS.deep_merge(self[:sound_preferences] || {})
+  end
+
+  # Accepts the nested hash from the settings form, casting its strings
+  # Unknown sounds and options are dropped
+  def sound_preferences=(value)
+    value = value.to_h.stringify_keys
+
+    self[:sound_preferences] = SOUND_DEFAULTS.to_h do |sound, defaults|
+      given = value[sound].to_h.stringify_keys.slice(*defaults.keys)
+      cast = given.to_h do |option, setting|
+        case defaults[option]
+        when Integer then [option, setting.to_i]
+        when true, false then [option, ActiveModel::Type::Boolean.new.cast(setting)]
+        else [option, setting.to_s]
+        end
+      end
+      [sound, cast]
+    end
+  end
+
+  # Shortcut keys with defaults filled in, e.g. { "start_stop" => "Space", "pause" => "p", ... }
+  def keyboard_shortcuts
+    SHORTCUT_DEFAULTS.merge(self[:keyboard_shortcuts] || {})
+  end
+
+  # Accepts the hash from the settings form; blank keys fall back to the default
+  # Unknown actions are dropped
+  def keyboard_shortcuts=(value)
+    value = value.to_h.stringify_keys.slice(*SHORTCUT_DEFAULTS.keys)
+
+    self[:keyboard_shortcuts] = value.to_h do |action, key|
+      key = key.to_s
+      key = key.strip unless key == " "
+      key = "Space" if key == " " || key.casecmp?("space")
+      [action, key.length == 1 ? key.downcase : key]
+    end.reject { |_action, key| key.blank? }
+  end
+
+  # Break lengths offered as toggles during a break, shortest first
+  def break_options
+    [short_break_minutes, *long_break_cycle].uniq.sort
+  end
+
+  private
+
+  def sound_preferences_are_valid
+    preferences = sound_preferences
+
+    unless preferences.values.all? { |sound| sound["volume"].between?(0, 100) }
+      errors.add(:sound_preferences, "volumes must be between 0 and 100")
+    end
+    unless CHIMES.include?(preferences["focus_end"]["chime"]) && CHIMES.include?(preferences["break_end"]["chime"])
+      errors.add(:sound_preferences, "chime must be one of #{CHIMES.join(", ")}")
+    end
+    unless NOISE_TYPES.include?(preferences["noise"]["type"])
+      errors.add(:sound_preferences, "noise must be one of #{NOISE_TYPES.join(", ")}")
+    end
+    unless preferences["warning"]["seconds"].between?(0, 300)
+      errors.add(:sound_preferences, "warning must be between 0 and 300 seconds before the end")
+    end
+  end
+
+  def keyboard_shortcuts_are_valid
+    shortcuts = keyboard_shortcuts
+
+    unless shortcuts.values.all? { |key| key == "Space" || key.length == 1 }
+      errors.add(:keyboard_shortcuts, "must each be a single key or Space")
+    end
+    if shortcuts.values.uniq.size < shortcuts.size
+      errors.add(:keyboard_shortcuts, "can't use the same key twice")
+    end
+  end
+
+  def long_break_cycle_is_valid
+    minutes = self[:long_break_cycle].to_s.split(",")
+
+    if minutes.empty?
+      errors.add(:long_break_cycle, "must list at least one break length")
+    elsif minutes.any? { |m| !m.match?(/\A\d+\z/) || !m.to_i.between?(1, 180) }
+      errors.add(:long_break_cycle, "must be minutes between 1 and 180, separated by commas")
+    end
+  end
+end
@@ -0,0 +1,189 @@
+# frozen_string_literal: true
+
+require "net/http"
+require "openssl"
+
+# Service object to send Web Push notifications
+# Encrypts payloads per RFC 8291 (aes128gcm) and authenticates with VAPID (RFC 8292),
+# so pushes reach the service worker even when no tab is open
+#
+# VAPID keys come from credentials (web_push: public_key, private_key, subject)
+# or the VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY / VAPID_SUBJECT environment variables.
+# Generate a pair with: bin/rails web_push:vapid_keys
+class WebPushService
+  class Error < StandardError; end
+  class ConfigurationError < Error; end
+  class ExpiredSubscriptionError < Error; end
+  class DeliveryError < Error; end
+
+  # How long the push service keeps an undelivered message (seconds)
+  # A "Pomodoro complete" that arrives much later is just noise
+  TTL = 10.minutes.to_i
+
+  RECORD_SIZE = 4096
+  CURVE = "prime256v1"
+
+  # Public key the browser needs to subscribe (base64url), or nil if not configured
+  def self.vapid_public_key
+    ENV["VAPID_PUBLIC_KEY"].presence || Rails.application.credentials.dig(:web_push, :public_key)
+  end
+
+  def self.vapid_private_key
+    ENV["VAPID_PRIVATE_KEY"].presence || Rails.application.credentials.dig(:web_push, :private_key)
+  end
+
+  def self.vapid_subject
+    ENV["VAPID_SUBJECT"].presence ||
+      Rails.application.credentials.dig(:web_push, :subject) ||
+      "mailto:pomodoro@example.com"
+  end
+
+  def self.configured?
+    vapid_public_key.present? && vapid_private_key.present?
+  end
+
+  # Generate a new VAPID key pair
+  # @return [Hash] :public_key and :private_key, base64url-encoded
+  def self.generate_vapid_keys
+    key = OpenSSL::PKey::EC.generate(CURVE)
+
+    {
+      public_key: Base64.urlsafe_encode64(key.public_key.to_bn.to_s(2), padding: false),
+      private_key: Base64.urlsafe_encode64(key.private_key.to_s(2).rjust(32, "\0"), padding: false)
+    }
+  end
+
+  # Send a notification to several subscriptions, dropping the ones that expired
+  # Failures are logged; one bad subscription doesn't stop the others
+  # @param subscriptions [Enumerable<PushSubscription>]
+  # @param payload [Hash] Notification data for the service worker (:title, :body, ...)
+  def self.notify(subscriptions, payload)
+    subscriptions.each do |subscription|
+      new(subscription).deliver(payload)
+    rescue ExpiredSubscriptionError
+      Rails.logger.info("Removing expired push subscription #{subscription.id}")
+      subscription.destroy
+    rescue Error => e
+      Rails.logger.error("Web push to subscription #{subscription.id} failed: #{e.message}")
+    end
+  end
+
+  def initialize(subscription)
+    @subscription = subscription
+  end
+
+  # Encrypt and send a payload to the subscription's push service
+  # @param payload [Hash] Serialized as JSON for the service worker
+  # @return [Boolean] true if the push service accepted it
+  def deliver(payload)
+    raise ConfigurationError, "VAPID keys are not configured" unless self.class.configured?
+
+    uri = URI(@subscription.endpoint)
+    request = push_request(uri, payload)
+
+    response = Net::HTTP.start(uri.host, uri.port, use_ssl: uri.scheme == "https", open_timeout: 5, read_timeout: 10) do |http|
+      http.request(request)
+    end
+
+    handle_response(response)
+  rescue SocketError, SystemCallError, Net::OpenTimeout, Net::ReadTimeout => e
+    raise DeliveryError, "Could not reach push service: #{e.message}"
+  end
+
+  # The encrypted, VAPID-signed POST for the subscription's push service
+  # @param uri [URI] The subscription's endpoint
+  # @param payload [Hash] Serialized as JSON for the service worker
+  # @return [Net::HTTP::Post]
+  def push_request(uri, payload)
+    Net::HTTP::Post.new(uri).tap do |request|
+      request["Content-Type"] = "application/octet-stream"
+      request["Content-Encoding"] = "aes128gcm"
+      request["TTL"] = TTL.to_s
+      request["Urgency"] = "high"
+      request["Authorization"] = vapid_authorization(uri)
+      request.body = encrypt(payload.to_json)
+    end
+  end
+
+  private
+
+  def handle_response(response)
+    case response.code.to_i
+    when 200..299
+      true
+    when 404, 410
+      raise ExpiredSubscriptionError, "Subscription is no longer valid"
+    else
+      raise DeliveryError, "Push service responded #{response.code}: #{response.body}"
+    end
+  end
+
+  # Encrypt the payload as a single aes128gcm record (RFC 8291)
+  def encrypt(plaintext)
+    user_agent_public = decode64(@subscription.p256dh_key)
+    auth_secret = decode64(@subscription.auth_key)
+
+    server_key = OpenSSL::PKey::EC.generate(CURVE)
+    server_public = server_key.public_key.to_bn.to_s(2)
+    shared_secret = server_key.dh_compute_key(ec_point(user_agent_public))
+    salt = SecureRandom.random_bytes(16)
+
+    key_info = "WebPush: info\0" + user_agent_public + server_public
+    ikm = hkdf(shared_secret, salt: auth_secret, info: key_info, length: 32)
+    content_key = hkdf(ikm, salt: salt, info: "Content-Encoding: aes128gcm\0", length: 16)
+    nonce = hkdf(ikm, salt: salt, info: "Content-Encoding: nonce\0", length: 12)
+
+    cipher = OpenSSL::Cipher.new("aes-128-gcm").encrypt
+    cipher.key = content_key
+    cipher.iv = nonce
+    # \x02 marks the last (and only) record
+    ciphertext = cipher.update(plaintext + "\x02") + cipher.final + cipher.auth_tag
+
+    header = salt + [RECORD_SIZE].pack("N") + [server_public.bytesize].pack("C") + server_public
+    header + ciphertext
+  end
+
+  # "vapid t=<signed JWT>, k=<public key>" for the push service's origin
+  def vapid_authorization(uri)
+    header = { typ: "JWT", alg: "ES256" }
+    claims = { aud: "#{uri.scheme}://#{uri.host}#{":#{uri.port}" unless uri.port == uri.default_port}",
+               exp: 12.hours.from_now.to_i,
+               sub: self.class.vapid_subject }
+
+    signing_input = [header, claims].map { |part| encode64(part.to_json) }.join(".")
+    der_signature = vapid_key.sign("SHA256", signing_input)
+    # JWS wants the raw r || s pair, not OpenSSL's DER encoding
+    signature = OpenSSL::ASN1.decode(der_signature).value.map { |n| n.value.to_s(2).rjust(32, "\0") }.join
+
+    "vapid t=#{signing_input}.#{encode64(signature)}, k=#{self.class.vapid_public_key}"
+  end
+
+  def vapid_key
+    @vapid_key ||= begin
+      asn1 = OpenSSL::ASN1::Sequence([
+        OpenSSL::ASN1::Integer(1),
+        OpenSSL::ASN1::OctetString(decode64(self.class.vapid_private_key)),
+        OpenSSL::ASN1::ObjectId(CURVE, 0, :EXPLICIT),
+        OpenSSL::ASN1::BitString(decode64(self.class.vapid_public_key), 1, :EXPLICIT)
+      ])
+      OpenSSL::PKey::EC.new(asn1.to_der)
+    end
+  end
+
+  def ec_point(bytes)
+    group = OpenSSL::PKey::EC::Group.new(CURVE)
+    OpenSSL::PKey::EC::Point.new(group, OpenSSL::BN.new(bytes, 2))
+  end
+
+  def hkdf(ikm, salt:, info:, length:)
+    OpenSSL::KDF.hkdf(ikm, salt: salt, info: info, length: length, hash: "SHA256")
+  end
+
+  def encode64(bytes)
+    Base64.urlsafe_encode64(bytes, padding: false)
+  end
+
+  def decode64(string)
+    Base64.urlsafe_decode64(string.to_s.tr("=", "").then { |s| s + "=" * (-s.length % 4) })
+  end
+end
@@ -6,8 +6,8 @@ Rails.application.routes.draw do
   get "up" => "rails/health#show", as: :rails_health_check
 
   # Render dynamic PWA files from app/views/pwa/* (remember to link manifest in application.html.erb)
-  # get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
-  # get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
+  get "manifest" => "rails/pwa#manifest", as: :pwa_manifest
+  get "service-worker" => "rails/pwa#service_worker", as: :pwa_service_worker
 
   # OmniAuth routes
   get "/auth/:provider/callback", to: "sessions#create"
@@ -28,12 +28,33 @@ Rails.application.routes.draw do
   # Google Calendar
   resources :calendar_events, only: [:index]
 
+  # Timer settings
+  resource :settings, only: [:show, :update]
+
   # Pomodoro timer app
   root "pomodoros#index"
-  resources :pomodoros, only: [:create, :destroy] do
+  resources :pomodoros, only: [:create, :update, :destroy] do
+    member do
+      patch :complete
+      patch :cancel
+      patch :update_break
+    end
     collection do
       get :tag_statistics
+      get :active
+      post :start
+      post :abandon
+    end
+  end
+  resources :tags, only: [:index, :create, :update, :destroy] do
+    member do
+      post :merge
     end
   end
-  resources :tags, only: [:index, :create, :destroy]
+
+  # Web Push subscription for this device
+  resource :push_subscription, only: [:create, :destroy]
+
+  # Stand-in push service for trying Web Push locally (see lib/tasks/web_push.rake)
+  post "push_stand_in/:token" => "push_stand_in#create", as: :push_stand_in if Rails.env.local?
 end
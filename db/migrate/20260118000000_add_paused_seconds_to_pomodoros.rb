@@ -0,0 +1,5 @@
+class AddPausedSecondsToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :paused_seconds, :integer, default: 0, null: false
+  end
+end
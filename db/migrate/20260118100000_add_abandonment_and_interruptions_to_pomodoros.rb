@@ -0,0 +1,10 @@
+class AddAbandonmentAndInterruptionsToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :abandoned_at, :datetime
+    add_column :pomodoros, :abandon_reason, :string
+    add_column :pomodoros, :internal_interruptions, :integer, default: 0, null: false
+    add_column :pomodoros, :external_interruptions, :integer, default: 0, null: false
+
+    add_index :pomodoros, :abandoned_at
+  end
+end
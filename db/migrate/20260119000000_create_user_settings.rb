@@ -0,0 +1,13 @@
+class CreateUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    create_table :user_settings do |t|
+      t.references :user, null: false, foreign_key: true, index: { unique: true }
+      t.integer :focus_minutes, default: 25, null: false
+      t.integer :short_break_minutes, default: 5, null: false
+      t.string :long_break_cycle, default: "30,60,30", null: false
+      t.integer :daily_target, default: 11, null: false
+
+      t.timestamps
+    end
+  end
+end
@@ -0,0 +1,5 @@
+class AddLongBreakIntervalToUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    add_column :user_settings, :long_break_interval, :integer, default: 3, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddPlannedMinutesToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :planned_minutes, :integer
+  end
+end
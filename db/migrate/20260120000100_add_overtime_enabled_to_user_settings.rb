@@ -0,0 +1,5 @@
+class AddOvertimeEnabledToUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    add_column :user_settings, :overtime_enabled, :boolean, default: false, null: false
+  end
+end
@@ -0,0 +1,6 @@
+class AddInProgressTrackingToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :ends_at, :datetime
+    add_column :pomodoros, :paused_at, :datetime
+  end
+end
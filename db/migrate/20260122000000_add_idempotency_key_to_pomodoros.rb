@@ -0,0 +1,6 @@
+class AddIdempotencyKeyToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :idempotency_key, :string
+    add_index :pomodoros, :idempotency_key, unique: true
+  end
+end
@@ -0,0 +1,5 @@
+class AddBreakEndsAtToPomodoros < ActiveRecord::Migration[8.1]
+  def change
+    add_column :pomodoros, :break_ends_at, :datetime
+  end
+end
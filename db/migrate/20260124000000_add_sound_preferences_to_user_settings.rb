@@ -0,0 +1,5 @@
+class AddSoundPreferencesToUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    add_column :user_settings, :sound_preferences, :json, default: {}, null: false
+  end
+end
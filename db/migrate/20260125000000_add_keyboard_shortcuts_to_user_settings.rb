@@ -0,0 +1,5 @@
+class AddKeyboardShortcutsToUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    add_column :user_settings, :keyboard_shortcuts, :json, default: {}, null: false
+  end
+end
@@ -0,0 +1,5 @@
+class AddIdleThresholdMinutesToUserSettings < ActiveRecord::Migration[8.1]
+  def change
+    add_column :user_settings, :idle_threshold_minutes, :integer, default: 5, null: false
+  end
+end
@@ -0,0 +1,63 @@
+class CreatePomodoroTags < ActiveRecord::Migration[8.1]
+  # Plain models, so the migration doesn't depend on the app's
+  class Pomodoro < ActiveRecord::Base
+    self.table_name = "pomodoros"
+  end
+
+  class Tag < ActiveRecord::Base
+    self.table_name = "tags"
+  end
+
+  class PomodoroTag < ActiveRecord::Base
+    self.table_name = "pomodoro_tags"
+  end
+
+  def up
+    create_table :pomodoro_tags do |t|
+      t.references :pomodoro, null: false, foreign_key: true, index: false
+      t.references :tag, null: false, foreign_key: true
+
+      t.timestamps
+    end
+    add_index :pomodoro_tags, [:pomodoro_id, :tag_id], unique: true
+
+    # "work, writing" becomes a row per tag; names only ever typed into a
+    # pomodoro become tags
+    # Tag names are unique ignoring case (as the tags table already was), so
+    # "Design" and "design" typed into different pomodoros become one tag,
+    # named after the existing tag or else the first spelling seen. Each
+    # merged spelling is logged.
+    tags_by_name = Tag.all.index_by { |tag| tag.name.downcase }
+    merged = Hash.new { |hash, tag| hash[tag] = Set.new }
+
+    Pomodoro.where.not(tags: [nil, ""]).find_each do |pomodoro|
+      names = pomodoro.tags.split(",").map(&:strip).reject(&:empty?)
+
+      names.uniq(&:downcase).each do |name|
+        tag = tags_by_name[name.downcase] ||= Tag.create!(name: name)
+        PomodoroTag.create!(pomodoro_id: pomodoro.id, tag_id: tag.id)
+      end
+      names.each { |name| merged[tags_by_name[name.downcase]] << name }
+    end
+
+    merged.each do |tag, spellings|
+      others = spellings.to_a - [tag.name]
+      say "Merged #{others.map(&:inspect).join(", ")} into tag #{tag.name.inspect}" if others.any?
+    end
+
+    remove_column :pomodoros, :tags
+  end
+
+  def down
+    add_column :pomodoros, :tags, :string
+
+    PomodoroTag
+      .joins("INNER JOIN tags ON tags.id = pomodoro_tags.tag_id")
+      .order(:id)
+      .pluck(:pomodoro_id, "tags.name")
+      .group_by(&:first)
+      .each { |pomodoro_id, rows| Pomodoro.where(id: pomodoro_id).update_all(tags: rows.map(&:last).join(", ")) }
+
+    drop_table :pomodoro_tags
+  end
+end
@@ -0,0 +1,5 @@
+class AddParentToTags < ActiveRecord::Migration[8.1]
+  def change
+    add_reference :tags, :parent, foreign_key: { to_table: :tags }
+  end
+end
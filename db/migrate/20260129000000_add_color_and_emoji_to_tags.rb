@@ -0,0 +1,38 @@
+class AddColorAndEmojiToTags < ActiveRecord::Migration[8.1]
+  # The palette tags were colored from by rank, most used first
+  COLORS = %w[#3b82f6 #10b981 #f59e0b #ef4444 #8b5cf6 #06b6d4 #f97316 #84cc16 #ec4899 #6366f1 #14b8a6 #a855f7].freeze
+
+  # Plain models, so the migration doesn't depend on the app's
+  class Tag < ActiveRecord::Base
+    self.table_name = "tags"
+  end
+
+  class PomodoroTag < ActiveRecord::Base
+    self.table_name = "pomodoro_tags"
+  end
+
+  def change
+    add_column :tags, :color, :string
+    add_column :tags, :emoji, :string
+
+    # Existing tags keep the color the chart gave them most recently. The chart
+    # ranked tags by completed pomodoros, ties going to the tag completed
+    # first; tags it never showed come after, by name
+    up_only do
+      Tag.reset_column_information
+      completed = PomodoroTag
+        .joins("INNER JOIN pomodoros ON pomodoros.id = pomodoro_tags.pomodoro_id")
+        .where.not(pomodoros: { completed_at: nil })
+        .group(:tag_id)
+      counts = completed.count
+      first_completed = completed.minimum("pomodoros.id")
+
+      ranked = Tag.all.sort_by do |tag|
+        [-counts.fetch(tag.id, 0), first_completed.fetch(tag.id, Float::INFINITY), tag.name.downcase]
+      end
+      ranked.each_with_index do |tag, index|
+        tag.update_columns(color: COLORS[index % COLORS.size])
+      end
+    end
+  end
+end
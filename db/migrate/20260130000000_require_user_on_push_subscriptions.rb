@@ -0,0 +1,11 @@
+class RequireUserOnPushSubscriptions < ActiveRecord::Migration[8.1]
+  def up
+    # Guests no longer get pushes; their subscriptions had no owner to scope them to
+    execute "DELETE FROM push_subscriptions WHERE user_id IS NULL"
+    change_column_null :push_subscriptions, :user_id, false
+  end
+
+  def down
+    change_column_null :push_subscriptions, :user_id, true
+  end
+end
@@ -10,25 +10,77 @@
 #
 # It's strongly recommended that you check this file into your version control system.
 
-ActiveRecord::Schema[8.1].define(version: 2026_01_17_062239) do
+ActiveRecord::Schema[8.1].define(version: 2026_01_30_000000) do
+  create_table "pomodoro_tags", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.integer "pomodoro_id", null: false
+    t.integer "tag_id", null: false
+    t.datetime "updated_at", null: false
+    t.index ["pomodoro_id", "tag_id"], name: "index_pomodoro_tags_on_pomodoro_id_and_tag_id", unique: true
+    t.index ["tag_id"], name: "index_pomodoro_tags_on_tag_id"
+  end
+
   create_table "pomodoros", force: :cascade do |t|
+    t.string "abandon_reason"
+    t.datetime "abandoned_at"
+    t.datetime "break_ends_at"
     t.datetime "completed_at"
     t.date "completed_date"
     t.datetime "created_at", null: false
     t.string "description"
     t.integer "duration_minutes", default: 25
+    t.datetime "ends_at"
+    t.integer "external_interruptions", default: 0, null: false
+    t.string "idempotency_key"
+    t.integer "internal_interruptions", default: 0, null: false
+    t.datetime "paused_at"
+    t.integer "paused_seconds", default: 0, null: false
+    t.integer "planned_minutes"
     t.datetime "started_at"
-    t.string "tags"
     t.datetime "updated_at", null: false
+    t.index ["abandoned_at"], name: "index_pomodoros_on_abandoned_at"
     t.index ["completed_at"], name: "index_pomodoros_on_completed_at"
     t.index ["completed_date"], name: "index_pomodoros_on_completed_date"
+    t.index ["idempotency_key"], name: "index_pomodoros_on_idempotency_key", unique: true
+  end
+
+  create_table "push_subscriptions", force: :cascade do |t|
+    t.string "auth_key", null: false
+    t.datetime "created_at", null: false
+    t.string "endpoint", null: false
+    t.string "p256dh_key", null: false
+    t.datetime "updated_at", null: false
+    t.string "user_agent"
+    t.integer "user_id", null: false
+    t.index ["endpoint"], name: "index_push_subscriptions_on_endpoint", unique: true
+    t.index ["user_id"], name: "index_push_subscriptions_on_user_id"
   end
 
   create_table "tags", force: :cascade do |t|
+    t.string "color"
     t.datetime "created_at", null: false
+    t.string "emoji"
     t.string "name", null: false
+    t.integer "parent_id"
     t.datetime "updated_at", null: false
     t.index ["name"], name: "index_tags_on_name", unique: true
+    t.index ["parent_id"], name: "index_tags_on_parent_id"
+  end
+
+  create_table "user_settings", force: :cascade do |t|
+    t.datetime "created_at", null: false
+    t.integer "daily_target", default: 11, null: false
+    t.integer "focus_minutes", default: 25, null: false
+    t.integer "idle_threshold_minutes", default: 5, null: false
+    t.json "keyboard_shortcuts", default: {}, null: false
+    t.string "long_break_cycle", default: "30,60,30", null: false
+    t.integer "long_break_interval", default: 3, null: false
+    t.boolean "overtime_enabled", default: false, null: false
+    t.integer "short_break_minutes", default: 5, null: false
+    t.json "sound_preferences", default: {}, null: false
+    t.datetime "updated_at", null: false
+    t.integer "user_id", null: false
+    t.index ["user_id"], name: "index_user_settings_on_user_id", unique: true
   end
 
   create_table "users", force: :cascade do |t|
@@ -43,4 +95,10 @@ ActiveRecord::Schema[8.1].define(version: 2026_01_17_062239) do
     t.index ["email"], name: "index_users_on_email", unique: true
     t.index ["google_uid"], name: "index_users_on_google_uid", unique: true
   end
+
+  add_foreign_key "pomodoro_tags", "pomodoros"
+  add_foreign_key "pomodoro_tags", "tags"
+  add_foreign_key "push_subscriptions", "users"
+  add_foreign_key "tags", "tags", column: "parent_id"
+  add_foreign_key "user_settings", "users"
 end
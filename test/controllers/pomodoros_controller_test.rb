@@ -0,0 +1,42 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PomodorosControllerTest < ActionDispatch::IntegrationTest
+  test "create replayed with the same Idempotency-Key logs the pomodoro once" do
+    params = { pomodoro: { description: "Write report", tags: %w[writing], started_at: 30.minutes.ago.iso8601,
+                           completed_at: 5.minutes.ago.iso8601, duration_minutes: 25 } }
+    headers = { "Idempotency-Key" => "queued-save-1" }
+
+    assert_difference -> { PomodoroSession.count }, 1 do
+      post pomodoros_path, params: params, headers: headers, as: :json
+      assert_response :created
+      post pomodoros_path, params: params, headers: headers, as: :json
+      assert_response :success
+    end
+    assert_equal PomodoroSession.sole.id, response.parsed_body.dig("pomodoro", "id")
+  end
+
+  test "start answers 409 with the running pomodoro when one is already in progress" do
+    running = PomodoroSession.create!(description: "Other device", started_at: 5.minutes.ago, ends_at: 20.minutes.from_now)
+
+    assert_no_difference -> { PomodoroSession.count } do
+      post start_pomodoros_path, params: { pomodoro: { description: "This device", ends_at: 25.minutes.from_now.iso8601 } }, as: :json
+    end
+
+    assert_response :conflict
+    assert_equal running.id, response.parsed_body.dig("pomodoro", "id")
+  end
+
+  test "complete leaves an already completed pomodoro as it was" do
+    completed_at = 10.minutes.ago.change(usec: 0)
+    pomodoro = PomodoroSession.create!(description: "Done", started_at: 35.minutes.ago, completed_at: completed_at)
+
+    patch complete_pomodoro_path(pomodoro), params: { pomodoro: { description: "Again", completed_at: Time.current.iso8601 } }, as: :json
+
+    assert_response :success
+    pomodoro.reload
+    assert_equal "Done", pomodoro.description
+    assert_equal completed_at, pomodoro.completed_at
+  end
+end
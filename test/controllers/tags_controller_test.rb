@@ -0,0 +1,52 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class TagsControllerTest < ActionDispatch::IntegrationTest
+  setup do
+    @dev = Tag.create!(name: "dev")
+    @development = Tag.create!(name: "development")
+  end
+
+  test "merge moves past pomodoros onto the target tag" do
+    first = tagged_pomodoro("development")
+    second = tagged_pomodoro("development, writing")
+
+    post merge_tag_path(@development), params: { into_id: @dev.id }, as: :json
+
+    assert_response :success
+    assert_equal({ "development" => "dev" }, response.parsed_body["renamed"])
+    assert_equal 2, response.parsed_body["affected"]
+    assert_equal %w[dev], first.reload.tag_names
+    assert_equal %w[dev writing], second.reload.tag_names.sort
+    assert_not Tag.exists?(@development.id)
+  end
+
+  test "merge leaves a pomodoro that had both tags with one row for the target" do
+    pomodoro = tagged_pomodoro("dev, development")
+
+    post merge_tag_path(@development), params: { into_id: @dev.id }, as: :json
+
+    assert_response :success
+    assert_equal [@dev.id], PomodoroTag.where(pomodoro_id: pomodoro.id).pluck(:tag_id)
+  end
+
+  test "merge refuses to merge a tag into itself" do
+    post merge_tag_path(@dev), params: { into_id: @dev.id }, as: :json
+
+    assert_response :unprocessable_entity
+    assert Tag.exists?(@dev.id)
+  end
+
+  test "merge answers 404 for an unknown target" do
+    post merge_tag_path(@dev), params: { into_id: 0 }, as: :json
+
+    assert_response :not_found
+  end
+
+  private
+
+  def tagged_pomodoro(tags)
+    PomodoroSession.create!(tag_names: tags, started_at: 30.minutes.ago, completed_at: 5.minutes.ago)
+  end
+end
@@ -0,0 +1,242 @@
+// Tests for the headless timer engine, with the clock driven by hand
+// Run with Node 22 or later: node --test "test/javascript/*_test.mjs"
+
+import { test, describe } from "node:test"
+import assert from "node:assert/strict"
+
+import TimerEngine from "../../app/javascript/lib/timer_engine.js"
+
+const START = Date.parse("2026-01-20T09:00:00Z")
+
+// A clock that only moves when told to; advance() fires the interval like a
+// once-a-second tick would
+function fakeClock() {
+  const clock = {
+    time: START,
+    callback: null,
+    now: () => clock.time,
+    setInterval: (callback) => { clock.callback = callback; return 1 },
+    clearInterval: () => { clock.callback = null },
+    advance(seconds) {
+      clock.time += seconds * 1000
+      clock.callback?.()
+    }
+  }
+  return clock
+}
+
+function buildEngine(options = {}) {
+  const clock = fakeClock()
+  const engine = new TimerEngine({
+    focusDuration: 25 * 60,
+    shortBreakDuration: 5 * 60,
+    longBreakDurations: [30 * 60, 60 * 60, 30 * 60],
+    longBreakInterval: 3,
+    ...options,
+    clock
+  })
+  const events = []
+  engine.on("expired", detail => events.push(detail))
+  return { engine, clock, events }
+}
+
+describe("focus sessions", () => {
+  test("start counts down and expires at the scheduled end", () => {
+    const { engine, clock, events } = buildEngine()
+
+    assert.equal(engine.start(), true)
+    assert.equal(engine.state, "pomodoro_running")
+    assert.equal(engine.phaseEndsAt, START + 25 * 60 * 1000)
+
+    clock.advance(60)
+    assert.equal(engine.secondsRemaining, 24 * 60)
+    assert.equal(events.length, 0)
+
+    clock.advance(24 * 60)
+    assert.equal(engine.secondsRemaining, 0)
+    assert.deepEqual(events, [{ state: "pomodoro_running", endedAt: new Date(START + 25 * 60 * 1000) }])
+    assert.equal(engine.ticking, false)
+  })
+
+  test("start does nothing unless ready", () => {
+    const { engine } = buildEngine()
+    engine.start()
+
+    assert.equal(engine.start(), false)
+    assert.equal(engine.state, "pomodoro_running")
+  })
+
+  test("pause freezes the countdown and resume moves the end back by the pause", () => {
+    const { engine, clock } = buildEngine()
+    engine.start()
+    clock.advance(10 * 60)
+
+    assert.equal(engine.pause(), true)
+    assert.equal(engine.state, "paused")
+    assert.equal(engine.ticking, false)
+    clock.advance(3 * 60)
+    assert.equal(engine.secondsRemaining, 15 * 60)
+
+    assert.equal(engine.resume(), true)
+    assert.equal(engine.state, "pomodoro_running")
+    assert.equal(engine.pausedMs, 3 * 60 * 1000)
+    assert.equal(engine.phaseEndsAt, START + 28 * 60 * 1000)
+    assert.equal(engine.secondsRemaining, 15 * 60)
+  })
+
+  test("pausedMs adds up every pause", () => {
+    const { engine, clock } = buildEngine()
+    engine.start()
+
+    engine.pause()
+    clock.advance(60)
+    engine.resume()
+    clock.advance(5 * 60)
+    engine.pause()
+    clock.advance(2 * 60)
+    engine.resume()
+
+    assert.equal(engine.pausedMs, 3 * 60 * 1000)
+    assert.equal(engine.summary(new Date(clock.now())).pausedSeconds, 180)
+  })
+
+  test("stop while paused counts the pause so far and goes back to ready", () => {
+    const { engine, clock } = buildEngine()
+    engine.start()
+    clock.advance(12 * 60)
+    engine.pause()
+    clock.advance(2 * 60)
+
+    const summary = engine.stop()
+
+    assert.equal(engine.state, "ready")
+    assert.equal(summary.pausedSeconds, 120)
+    assert.equal(summary.focusedMinutes, 12)
+    assert.equal(summary.plannedMinutes, 25)
+    assert.equal(engine.phaseEndsAt, null)
+  })
+
+  test("stop returns null when no session is running", () => {
+    const { engine } = buildEngine()
+
+    assert.equal(engine.stop(), null)
+  })
+
+  test("enterOvertime keeps counting up past the focus end", () => {
+    const { engine, clock, events } = buildEngine({ overtimeEnabled: true })
+    engine.start()
+    clock.advance(25 * 60)
+    assert.equal(events.length, 1)
+
+    assert.equal(engine.enterOvertime(), true)
+    assert.equal(engine.state, "overtime")
+    clock.advance(90)
+
+    assert.equal(engine.overtimeSeconds(), 90)
+    assert.equal(events.length, 1)
+    assert.equal(engine.can("break_running"), true)
+  })
+
+  test("enterOvertime only follows a running session", () => {
+    const { engine } = buildEngine()
+
+    assert.equal(engine.enterOvertime(), false)
+    assert.equal(engine.state, "ready")
+  })
+})
+
+// Run a focus session to its end and wrap it up, as the controller does
+// before starting the break
+function finishFocus(engine, clock) {
+  engine.start()
+  clock.advance(25 * 60)
+  engine.clearPhaseEnd()
+}
+
+describe("breaks", () => {
+  test("determineBreak walks the long-break cycle every Nth pomodoro", () => {
+    const { engine } = buildEngine()
+    const minutes = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].map(count => engine.determineBreak(count).durationMinutes)
+
+    assert.deepEqual(minutes, [5, 5, 30, 5, 5, 60, 5, 5, 30, 5, 5, 30])
+    assert.equal(engine.determineBreak(3).isLongBreak, true)
+    assert.equal(engine.determineBreak(4).isLongBreak, false)
+    assert.equal(engine.determineBreak(0).isLongBreak, false)
+  })
+
+  test("extendBreak adds time to the running break", () => {
+    const { engine, clock } = buildEngine()
+    finishFocus(engine, clock)
+    engine.startBreak(clock.now(), 5 * 60)
+    clock.advance(60)
+
+    assert.equal(engine.extendBreak(5 * 60), true)
+    assert.equal(engine.currentBreakDuration, 10 * 60)
+    assert.equal(engine.selectedBreakMinutes, 10)
+    assert.equal(engine.secondsRemaining, 9 * 60)
+  })
+
+  test("extendBreak does nothing outside a break", () => {
+    const { engine } = buildEngine()
+    engine.start()
+
+    assert.equal(engine.extendBreak(60), false)
+  })
+
+  test("a break timed from the past expires on the first tick", () => {
+    const { engine, clock, events } = buildEngine()
+    finishFocus(engine, clock)
+    clock.time += 10 * 60 * 1000
+    engine.startBreak(START + 25 * 60 * 1000, 5 * 60)
+
+    engine.tick()
+
+    assert.deepEqual(events.at(-1), { state: "break_running", endedAt: new Date(START + 30 * 60 * 1000) })
+  })
+})
+
+describe("snapshot and restore", () => {
+  test("a phase that ended while saved expires on the first tick after restoring", () => {
+    const { engine: saver, clock: saverClock } = buildEngine()
+    saver.start()
+    saverClock.advance(5 * 60)
+    saver.markInterruption("internal")
+    const snapshot = JSON.parse(JSON.stringify(saver.snapshot()))
+
+    const { engine, clock, events } = buildEngine()
+    clock.time = START + 40 * 60 * 1000
+
+    assert.equal(engine.restore(snapshot), true)
+    assert.equal(engine.state, "pomodoro_running")
+    assert.equal(engine.secondsRemaining, 0)
+    assert.equal(engine.internalInterruptions, 1)
+    assert.equal(engine.ticking, false)
+
+    engine.tick()
+    assert.deepEqual(events, [{ state: "pomodoro_running", endedAt: new Date(START + 25 * 60 * 1000) }])
+  })
+
+  test("a paused session stays frozen at what was left when the pause began", () => {
+    const { engine: saver, clock: saverClock } = buildEngine()
+    saver.start()
+    saverClock.advance(20 * 60)
+    saver.pause()
+
+    const { engine, clock, events } = buildEngine()
+    clock.time = START + 60 * 60 * 1000
+    engine.restore(saver.snapshot())
+    engine.tick()
+
+    assert.equal(engine.state, "paused")
+    assert.equal(engine.secondsRemaining, 5 * 60)
+    assert.equal(events.length, 0)
+  })
+
+  test("restore refuses a snapshot that isn't a running phase", () => {
+    const { engine } = buildEngine()
+
+    assert.equal(engine.restore(null), false)
+    assert.equal(engine.restore({ state: "ready", phaseEndsAt: null }), false)
+    assert.equal(engine.state, "ready")
+  })
+})
@@ -0,0 +1,55 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class PomodoroSessionTest < ActiveSupport::TestCase
+  test "a comma-separated tag string becomes one tag per name" do
+    pomodoro = complete_pomodoro(tags: "a, b")
+
+    assert_equal %w[a b], pomodoro.tag_names
+    assert_equal({ "a" => 1, "b" => 1 }, top_level_counts)
+  end
+
+  test "a pomodoro with several tags counts once for each of them" do
+    complete_pomodoro(tags: %w[writing research])
+    complete_pomodoro(tags: %w[writing])
+
+    assert_equal({ "writing" => 2, "research" => 1 }, top_level_counts)
+  end
+
+  test "a tag doesn't pick up pomodoros whose tag merely contains its name" do
+    complete_pomodoro(tags: %w[art])
+    complete_pomodoro(tags: %w[party])
+    complete_pomodoro(tags: %w[party])
+
+    assert_equal({ "party" => 2, "art" => 1 }, top_level_counts)
+  end
+
+  test "tag names differing only in case are the same tag" do
+    complete_pomodoro(tags: "Design")
+    complete_pomodoro(tags: "design, DESIGN")
+
+    assert_equal 1, Tag.count
+    assert_equal({ "Design" => 2 }, top_level_counts)
+  end
+
+  test "abandoned pomodoros count toward the completion rate, not the count" do
+    complete_pomodoro(tags: %w[art])
+    PomodoroSession.create!(tag_names: %w[art], started_at: 1.hour.ago, abandoned_at: 40.minutes.ago)
+
+    stat = PomodoroSession.tag_statistics.sole
+    assert_equal 1, stat[:count]
+    assert_equal 1, stat[:abandoned]
+    assert_equal 50, stat[:completion_rate]
+  end
+
+  private
+
+  def complete_pomodoro(tags:)
+    PomodoroSession.create!(tag_names: tags, started_at: 30.minutes.ago, completed_at: 5.minutes.ago)
+  end
+
+  def top_level_counts
+    PomodoroSession.tag_statistics.reject { |stat| stat[:project] }.to_h { |stat| [stat[:tag], stat[:count]] }
+  end
+end
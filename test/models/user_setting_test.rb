@@ -0,0 +1,43 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class UserSettingTest < ActiveSupport::TestCase
+  setup do
+    @setting = User.create!(email: "pat@example.com", google_uid: "google-pat").settings
+  end
+
+  test "defaults are valid" do
+    assert @setting.valid?
+  end
+
+  test "long_break_cycle takes comma-separated minutes" do
+    @setting.long_break_cycle = "20, 45"
+
+    assert @setting.valid?
+    assert_equal [20, 45], @setting.long_break_cycle
+  end
+
+  test "long_break_cycle rejects anything but minutes between 1 and 180" do
+    ["", "30,abc", "30,0", "30,181", "-5"].each do |cycle|
+      @setting.long_break_cycle = cycle
+
+      assert_not @setting.valid?, "#{cycle.inspect} should be invalid"
+      assert @setting.errors[:long_break_cycle].any?
+    end
+  end
+
+  test "keyboard shortcuts can't use the same key twice" do
+    @setting.keyboard_shortcuts = { "pause" => "s" }
+
+    assert_not @setting.valid?
+    assert_includes @setting.errors[:keyboard_shortcuts], "can't use the same key twice"
+  end
+
+  test "keyboard shortcuts are a single key or Space" do
+    @setting.keyboard_shortcuts = { "pause" => "pp" }
+
+    assert_not @setting.valid?
+    assert_includes @setting.errors[:keyboard_shortcuts], "must each be a single key or Space"
+  end
+end
@@ -0,0 +1,97 @@
+# frozen_string_literal: true
+
+require "test_helper"
+
+class WebPushServiceTest < ActiveSupport::TestCase
+  ENDPOINT = "https://push.example.com/send/abc123"
+
+  setup do
+    @original_env = ENV.to_h.slice("VAPID_PUBLIC_KEY", "VAPID_PRIVATE_KEY", "VAPID_SUBJECT")
+    @vapid = WebPushService.generate_vapid_keys
+    ENV["VAPID_PUBLIC_KEY"] = @vapid[:public_key]
+    ENV["VAPID_PRIVATE_KEY"] = @vapid[:private_key]
+    ENV["VAPID_SUBJECT"] = "mailto:test@example.com"
+
+    # The browser's side of the subscription, stored the way web_push:stand_in stores it
+    browser_key = OpenSSL::PKey::EC.generate(WebPushService::CURVE)
+    auth = SecureRandom.random_bytes(16)
+    @stand_in_keys = { "private_key" => browser_key.to_pem, "auth" => Base64.strict_encode64(auth) }
+    @subscription = PushSubscription.new(
+      endpoint: ENDPOINT,
+      p256dh_key: Base64.urlsafe_encode64(browser_key.public_key.to_bn.to_s(2), padding: false),
+      auth_key: Base64.urlsafe_encode64(auth, padding: false)
+    )
+  end
+
+  teardown do
+    %w[VAPID_PUBLIC_KEY VAPID_PRIVATE_KEY VAPID_SUBJECT].each { |name| ENV[name] = @original_env[name] }
+  end
+
+  test "push_request encrypts the payload so the subscription's keys can decrypt it" do
+    payload = { title: "Pomodoro complete", body: "Time for a break ☕", tag: "pomodoro-timer" }
+
+    request = WebPushService.new(@subscription).push_request(URI(ENDPOINT), payload)
+    decrypted = PushStandInController.new.send(:decrypt, request.body, @stand_in_keys)
+
+    assert_equal payload.to_json, decrypted
+  end
+
+  test "push_request writes a single aes128gcm record header" do
+    body = WebPushService.new(@subscription).push_request(URI(ENDPOINT), { title: "Hi" }).body.b
+
+    assert_equal WebPushService::RECORD_SIZE, body[16, 4].unpack1("N")
+    assert_equal 65, body.getbyte(20)
+    assert_equal "\x04".b, body[21]
+  end
+
+  test "push_request sets the Web Push headers" do
+    request = WebPushService.new(@subscription).push_request(URI(ENDPOINT), { title: "Hi" })
+
+    assert_equal "application/octet-stream", request["Content-Type"]
+    assert_equal "aes128gcm", request["Content-Encoding"]
+    assert_equal WebPushService::TTL.to_s, request["TTL"]
+    assert_equal "high", request["Urgency"]
+  end
+
+  test "push_request signs a VAPID token for the push service's origin" do
+    request = WebPushService.new(@subscription).push_request(URI(ENDPOINT), { title: "Hi" })
+    token, public_key = request["Authorization"].match(/\Avapid t=(\S+), k=(\S+)\z/).captures
+    header, claims, signature = token.split(".")
+
+    assert_equal @vapid[:public_key], public_key
+    assert_equal({ "typ" => "JWT", "alg" => "ES256" }, JSON.parse(decode64(header)))
+    assert_equal "https://push.example.com", JSON.parse(decode64(claims))["aud"]
+    assert_equal "mailto:test@example.com", JSON.parse(decode64(claims))["sub"]
+    assert_in_delta 12.hours.from_now.to_i, JSON.parse(decode64(claims))["exp"], 60
+    assert vapid_public_key.verify("SHA256", der_signature(decode64(signature)), "#{header}.#{claims}")
+  end
+
+  test "deliver refuses to send without VAPID keys" do
+    ENV["VAPID_PUBLIC_KEY"] = nil
+    ENV["VAPID_PRIVATE_KEY"] = nil
+
+    assert_raises(WebPushService::ConfigurationError) do
+      WebPushService.new(@subscription).deliver(title: "Hi")
+    end
+  end
+
+  private
+
+  def decode64(string)
+    Base64.urlsafe_decode64(string + "=" * (-string.length % 4))
+  end
+
+  # JWS signatures are the raw r || s pair; OpenSSL verifies DER
+  def der_signature(raw)
+    OpenSSL::ASN1::Sequence([raw[0, 32], raw[32, 32]].map { |half| OpenSSL::ASN1::Integer(OpenSSL::BN.new(half, 2)) }).to_der
+  end
+
+  def vapid_public_key
+    OpenSSL::PKey::EC.new(
+      OpenSSL::ASN1::Sequence([
+        OpenSSL::ASN1::Sequence([OpenSSL::ASN1::ObjectId("id-ecPublicKey"), OpenSSL::ASN1::ObjectId(WebPushService::CURVE)]),
+        OpenSSL::ASN1::BitString(decode64(@vapid[:public_key]))
+      ]).to_der
+    )
+  end
+end